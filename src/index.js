@@ -6,16 +6,19 @@ import cron from 'node-cron';
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from './utils/logger.js';
-import { DriveWatcher } from './services/driveWatcher.js';
+import { loadPodcasts, getPodcast } from './utils/podcastConfig.js';
 import { ProcessingQueue } from './services/processingQueue.js';
-import { regenerateEpisode } from '../debug-tools/regenerate-episode.js';
+import { createSource } from './services/sourceFactory.js';
+import { parseEpisode, episodeCode, describeEpisode } from './utils/episodeRef.js';
+import { webhooksEnabled, isValidWebhookToken, WEBHOOK_AUTH_HEADER } from './services/assemblyAiTranscriber.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize services
-const driveWatcher = new DriveWatcher();
 const processingQueue = new ProcessingQueue();
+const sources = loadPodcasts().map(podcast => createSource(podcast, processingQueue));
+const pushChannels = sources.map(source => source.pushChannel).filter(Boolean);
 
 // Express middleware
 app.use(express.json());
@@ -28,9 +31,16 @@ app.get('/health', (req, res) => {
 
 // Status endpoint
 app.get('/status', async (req, res) => {
+  const lastChecks = sources.map(source => source.getLastCheckTime()).filter(Boolean);
   const status = {
     queue: await processingQueue.getStatus(),
-    lastCheck: driveWatcher.getLastCheckTime(),
+    lastCheck: lastChecks.length > 0 ? new Date(Math.max(...lastChecks)) : null,
+    sources: sources.map(source => ({
+      podcast: source.podcast.name,
+      type: source.podcast.source.type,
+      lastCheck: source.getLastCheckTime(),
+      pushChannel: source.pushChannel?.getStatus() || null
+    })),
     uptime: process.uptime()
   };
   res.json(status);
@@ -40,7 +50,7 @@ app.get('/status', async (req, res) => {
 app.post('/trigger', async (req, res) => {
   try {
     logger.info('Manual trigger requested');
-    await driveWatcher.checkForNewFiles();
+    await checkAllSources();
     res.json({ message: 'Check initiated' });
   } catch (error) {
     logger.error('Manual trigger failed:', error);
@@ -48,6 +58,84 @@ app.post('/trigger', async (req, res) => {
   }
 });
 
+// Job management endpoints
+app.get('/jobs', (req, res) => {
+  res.json(processingQueue.listJobs({ status: req.query.status }));
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = processingQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  }
+  res.json(processingQueue.describeJob(job));
+});
+
+app.post('/jobs/:id/cancel', async (req, res) => {
+  await handleJobAction(res, () => processingQueue.cancelJob(req.params.id));
+});
+
+app.post('/jobs/:id/retry', async (req, res) => {
+  await handleJobAction(res, () => processingQueue.retryJob(req.params.id, req.body?.fromStep, {
+    refresh: req.body?.refresh === true
+  }));
+});
+
+app.post('/jobs/:id/prioritize', async (req, res) => {
+  await handleJobAction(res, () => processingQueue.prioritizeJob(req.params.id));
+});
+
+app.post('/jobs/:id/release', async (req, res) => {
+  await handleJobAction(res, () => processingQueue.releaseJob(req.params.id));
+});
+
+// Google Drive push notifications (changes.watch)
+app.post('/webhooks/drive', (req, res) => {
+  const channels = pushChannels.filter(channel => channel.acceptsNotifications());
+  if (channels.length === 0) {
+    return res.status(404).json({ error: 'Drive push notifications are not configured' });
+  }
+
+  // Route to the watcher owning the channel; unknown channels (e.g. simulated locally) reach every Drive watcher
+  const channelId = req.headers['x-goog-channel-id'];
+  const owners = channels.filter(channel => channel.ownsChannel(channelId));
+  const accepted = (owners.length > 0 ? owners : channels)
+    .map(channel => channel.handleNotification(req.headers))
+    .some(Boolean);
+
+  if (!accepted) {
+    return res.status(403).json({ error: 'Invalid channel token' });
+  }
+
+  // Acknowledge right away, the check runs in the background
+  res.status(200).end();
+});
+
+// AssemblyAI transcript webhooks (webhook_url of submitted transcripts)
+app.post('/webhooks/assemblyai', async (req, res) => {
+  if (!webhooksEnabled()) {
+    return res.status(404).json({ error: 'AssemblyAI webhooks are not configured' });
+  }
+
+  if (!isValidWebhookToken(req.get(WEBHOOK_AUTH_HEADER))) {
+    logger.warn('Rejected AssemblyAI webhook with invalid token');
+    return res.status(403).json({ error: 'Invalid webhook token' });
+  }
+
+  const { transcript_id: transcriptId, status } = req.body || {};
+  if (!transcriptId) {
+    return res.status(400).json({ error: 'Missing transcript_id' });
+  }
+
+  try {
+    const job = await processingQueue.handleTranscriptReady(transcriptId, status);
+    res.json({ job: job?.id ?? null });
+  } catch (error) {
+    logger.error(`Failed to handle AssemblyAI webhook for ${transcriptId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Episode management endpoints
 app.get('/episodes', async (req, res) => {
   try {
@@ -59,32 +147,95 @@ app.get('/episodes', async (req, res) => {
   }
 });
 
-app.get('/episodes/:number', async (req, res) => {
+// Episodes are addressed by podcast and episode code, e.g. /episodes/cosmic/07
+app.get('/episodes/:podcast/:episode', async (req, res) => {
   try {
-    const episodeNumber = parseInt(req.params.number);
-    const episodeData = await getEpisodeData(episodeNumber);
+    const episodeData = await getEpisodeData(episodeParam(req));
     res.json(episodeData);
   } catch (error) {
-    logger.error(`Failed to get episode ${req.params.number}:`, error);
+    logger.error(`Failed to get episode ${req.params.episode} of ${req.params.podcast}:`, error);
     res.status(404).json({ error: error.message });
   }
 });
 
-app.post('/episodes/:number/regenerate', async (req, res) => {
+// Speaker names: the mapping found from the podcast roster, and manual overrides per diarization label
+app.get('/episodes/:podcast/:episode/speakers', async (req, res) => {
+  try {
+    res.json(await processingQueue.getEpisodeSpeakers(episodeParam(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/episodes/:podcast/:episode/speakers', async (req, res) => {
+  try {
+    const episode = episodeParam(req);
+    logger.info(`Updating speaker names for ${describeEpisode(episode)}`);
+    res.json(await processingQueue.setSpeakerOverrides(episode, req.body?.overrides));
+  } catch (error) {
+    if (!error.status) {
+      logger.error(`Failed to update speakers of episode ${req.params.episode} of ${req.params.podcast}:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/episodes/:podcast/:episode/chapters', async (req, res) => {
+  try {
+    res.json(await processingQueue.getEpisodeChapters(episodeParam(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/episodes/:podcast/:episode/chapters', async (req, res) => {
+  try {
+    const episode = episodeParam(req);
+    logger.info(`Updating chapter titles for ${describeEpisode(episode)}`);
+    res.json(await processingQueue.setChapterTitles(episode, req.body?.titles));
+  } catch (error) {
+    if (!error.status) {
+      logger.error(`Failed to update chapters of episode ${req.params.episode} of ${req.params.podcast}:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Catalog matches left for review, and accepting one by the track's position in the tracklist
+app.get('/episodes/:podcast/:episode/catalog-review', async (req, res) => {
+  try {
+    res.json(await processingQueue.getCatalogReview(episodeParam(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/episodes/:podcast/:episode/tracks/:index/accept-match', async (req, res) => {
+  try {
+    res.json(await processingQueue.acceptCatalogMatch(episodeParam(req), parseInt(req.params.index)));
+  } catch (error) {
+    if (!error.status) {
+      logger.error(`Failed to accept a catalog match in episode ${req.params.episode} of ${req.params.podcast}:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/episodes/:podcast/:episode/regenerate', async (req, res) => {
   try {
-    const episodeNumber = parseInt(req.params.number);
-    logger.info(`Regenerating episode ${episodeNumber} markdown`);
+    const episode = episodeParam(req);
+    logger.info(`Regenerating the content of ${describeEpisode(episode)}`);
     
-    const result = await regenerateEpisode(episodeNumber);
+    // The cached extraction is reused unless { "refresh": true } is posted
+    const result = await processingQueue.regenerateEpisode(episode, { refresh: req.body?.refresh === true });
     
-    logger.info(`Successfully regenerated episode ${episodeNumber}`);
     res.json({
       success: true,
       episode: result
     });
   } catch (error) {
-    logger.error(`Failed to regenerate episode ${req.params.number}:`, error);
-    res.status(500).json({ error: error.message });
+    logger.error(`Failed to regenerate episode ${req.params.episode} of ${req.params.podcast}:`, error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -112,6 +263,12 @@ app.get('/', (req, res) => {
         .status.loading { background: #f39c12; color: white; }
         .status.success { background: #27ae60; color: white; }
         .status.error { background: #e74c3c; color: white; }
+        .btn-danger { background: #e74c3c; }
+        .btn-danger:hover { background: #c0392b; }
+        .btn-small { padding: 4px 10px; font-size: 12px; margin-right: 5px; }
+        .jobs-table { width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 30px; }
+        .jobs-table th, .jobs-table td { text-align: left; padding: 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+        .job-error { color: #e74c3c; font-size: 12px; }
         .hidden { display: none; }
         pre { background: #2c3e50; color: #ecf0f1; padding: 20px; border-radius: 4px; overflow-x: auto; font-size: 12px; }
     </style>
@@ -125,8 +282,16 @@ app.get('/', (req, res) => {
         <div style="margin-bottom: 30px;">
             <button class="btn" onclick="loadEpisodes()">🔄 Refresh Episodes</button>
             <button class="btn" onclick="checkStatus()">📊 System Status</button>
+            <button class="btn" onclick="loadJobs()">🗂️ Refresh Jobs</button>
+        </div>
+        
+        <h2>Jobs</h2>
+        <div id="jobs-container">
+            <p>Loading jobs...</p>
         </div>
         
+        <h2>Episodes</h2>
+
         <div id="episodes-container">
             <p>Loading episodes...</p>
         </div>
@@ -139,6 +304,8 @@ app.get('/', (req, res) => {
 
     <script>
         let episodes = [];
+        // Retry step picked per job, kept across job list refreshes
+        const retrySteps = {};
 
         async function loadEpisodes() {
             try {
@@ -163,27 +330,29 @@ app.get('/', (req, res) => {
 
             container.innerHTML = episodes.map(episode => \`
                 <div class="episode-card">
-                    <div class="episode-title">Episode \${episode.number}: \${episode.title || 'Untitled'}</div>
+                    <div class="episode-title">\${episode.podcast} – Episode \${episode.number}: \${episode.title || 'Untitled'}</div>
                     <div class="episode-meta">
                         📊 \${episode.stats.tracks} tracks, \${episode.stats.events} events, \${episode.stats.guests} guests | 
                         ⏱️ \${episode.stats.duration} | 
-                        📝 \${episode.stats.hasMonologue ? 'Has monologue' : 'No monologue'}
+                        📝 \${episode.stats.hasMonologue ? 'Has monologue' : 'No monologue'} | 
+                        🔗 \${describeLinks(episode.stats.links)} | 
+                        🎼 \${describeEnrichment(episode.stats.enrichment)}
                     </div>
-                    <button class="btn btn-success" onclick="regenerateEpisode(\${episode.number})">
+                    <button class="btn btn-success" onclick="regenerateEpisode('\${episode.podcast}', '\${episode.code}')">
                         🔄 Regenerate Markdown
                     </button>
-                    <button class="btn" onclick="viewEpisode(\${episode.number})">
+                    <button class="btn" onclick="viewEpisode('\${episode.podcast}', '\${episode.code}')">
                         👁️ View Details
                     </button>
                 </div>
             \`).join('');
         }
 
-        async function regenerateEpisode(episodeNumber) {
+        async function regenerateEpisode(podcast, code) {
             try {
-                showStatus(\`Regenerating episode \${episodeNumber}...\`, 'loading');
+                showStatus(\`Regenerating episode \${code} of \${podcast}...\`, 'loading');
                 
-                const response = await fetch(\`/episodes/\${episodeNumber}/regenerate\`, {
+                const response = await fetch(\`/episodes/\${podcast}/\${code}/regenerate\`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' }
                 });
@@ -191,7 +360,7 @@ app.get('/', (req, res) => {
                 const result = await response.json();
                 
                 if (result.success) {
-                    showStatus(\`✅ Episode \${episodeNumber} regenerated successfully!\`, 'success');
+                    showStatus(\`✅ Episode \${code} of \${podcast} regenerated successfully!\`, 'success');
                     
                     // Show markdown preview
                     document.getElementById('markdown-content').textContent = result.episode.markdownContent;
@@ -204,23 +373,140 @@ app.get('/', (req, res) => {
             }
         }
 
-        async function viewEpisode(episodeNumber) {
+        async function viewEpisode(podcast, code) {
             try {
-                const response = await fetch(\`/episodes/\${episodeNumber}\`);
+                const response = await fetch(\`/episodes/\${podcast}/\${code}\`);
                 const episode = await response.json();
                 
-                alert(\`Episode \${episodeNumber} Details:\\n\\n\` +
+                alert(\`Episode \${code} of \${podcast} Details:\\n\\n\` +
                      \`Title: \${episode.title}\\n\` +
                      \`Tracks: \${episode.stats.tracks}\\n\` +
                      \`Events: \${episode.stats.events}\\n\` +
                      \`Guests: \${episode.stats.guests}\\n\` +
                      \`Duration: \${episode.stats.duration}\\n\` +
-                     \`Has Monologue: \${episode.stats.hasMonologue}\`);
+                     \`Has Monologue: \${episode.stats.hasMonologue}\\n\` +
+                     \`Links: \${describeLinks(episode.stats.links)}\` +
+                     episode.unverifiedLinks.map(track => \`\\n  ❓ \${track.artist} - \${track.title}\`).join('') +
+                     \`\\nCatalog: \${describeEnrichment(episode.stats.enrichment)}\` +
+                     episode.catalogReview.map(track => \`\\n  🔎 #\${track.index} \${track.artist} - \${track.title} → \` +
+                       \`\${track.candidate.artist} - \${track.candidate.title} (\${track.confidence})\`).join(''));
             } catch (error) {
                 showStatus('Failed to load episode details: ' + error.message, 'error');
             }
         }
 
+        // Result of the verification step (processing-metadata.json "links")
+        function describeLinks(links) {
+            if (!links) return 'Links not verified';
+            if (links.skipped) return \`Links left unverified: \${links.skipped}\`;
+            return \`\${links.verified} verified, \${links.replaced} replaced, \${links.unverified} unverified (\${links.resolver})\`;
+        }
+
+        // Result of the enrichment step (processing-metadata.json "enrichment")
+        function describeEnrichment(enrichment) {
+            if (!enrichment) return 'Not looked up';
+            if (enrichment.skipped) return \`Catalog lookup skipped: \${enrichment.skipped}\`;
+            const accepted = enrichment.accepted ? \`, \${enrichment.accepted} accepted\` : '';
+            return \`\${enrichment.applied} matched\${accepted}, \${enrichment.review} to review, \${enrichment.unmatched} unmatched (\${enrichment.catalog})\`;
+        }
+
+        async function loadJobs() {
+            try {
+                const response = await fetch('/jobs');
+                renderJobs(await response.json());
+            } catch (error) {
+                showStatus('Failed to load jobs: ' + error.message, 'error');
+            }
+        }
+
+        function renderJobs(jobs) {
+            const container = document.getElementById('jobs-container');
+            
+            if (jobs.length === 0) {
+                container.innerHTML = '<p>No jobs yet</p>';
+                return;
+            }
+
+            container.innerHTML = \`
+                <table class="jobs-table">
+                    <tr><th>File</th><th>Status</th><th>Steps</th><th>Added</th><th></th></tr>
+                    \${jobs.map(job => \`
+                        <tr>
+                            <td>\${escapeHtml(job.filename)}<br><small>\${escapeHtml(job.podcast)}</small></td>
+                            <td>
+                                \${job.status}\${job.position ? \` (#\${job.position})\` : ''}
+                                \${job.error ? \`<div class="job-error">\${escapeHtml(job.error)}</div>\` : ''}
+                            </td>
+                            <td>\${Object.entries(job.steps).map(([step, status]) => \`\${step}: \${status}\`).join('<br>')}</td>
+                            <td>\${new Date(job.addedAt).toLocaleString()}</td>
+                            <td>\${renderJobActions(job)}</td>
+                        </tr>
+                    \`).join('')}
+                </table>
+            \`;
+        }
+
+        function renderJobActions(job) {
+            if (job.status === 'queued') {
+                return \`
+                    <button class="btn btn-small" onclick="jobAction('\${job.id}', 'prioritize')">⏫ Prioritize</button>
+                    <button class="btn btn-small btn-danger" onclick="jobAction('\${job.id}', 'cancel')">✖ Cancel</button>
+                \`;
+            }
+            if (job.status === 'awaiting_review') {
+                return \`
+                    <button class="btn btn-small btn-success" onclick="jobAction('\${job.id}', 'release')">✔ Release</button>
+                    <button class="btn btn-small btn-danger" onclick="jobAction('\${job.id}', 'cancel')">✖ Cancel</button>
+                \`;
+            }
+            if (job.status === 'processing' || job.status === 'awaiting_transcript' || job.status === 'awaiting_companion') {
+                return \`<button class="btn btn-small btn-danger" onclick="jobAction('\${job.id}', 'cancel')">✖ Cancel</button>\`;
+            }
+            return \`
+                <select onchange="retrySteps['\${job.id}'] = this.value">
+                    <option value="">first unfinished step</option>
+                    \${Object.keys(job.steps).map(step => \`
+                        <option value="\${step}" \${retrySteps[job.id] === step ? 'selected' : ''}>\${step}</option>
+                    \`).join('')}
+                </select>
+                <button class="btn btn-small" onclick="retryJob('\${job.id}')">🔁 Retry</button>
+            \`;
+        }
+
+        function retryJob(jobId) {
+            const fromStep = retrySteps[jobId];
+            delete retrySteps[jobId];
+            return jobAction(jobId, 'retry', fromStep ? { fromStep } : {});
+        }
+
+        async function jobAction(jobId, action, body = {}) {
+            try {
+                const response = await fetch(\`/jobs/\${jobId}/\${action}\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+                
+                if (!response.ok) {
+                    showStatus(\`Failed to \${action} job: \${result.error}\`, 'error');
+                    return;
+                }
+                
+                showStatus(\`Job \${result.filename}: \${result.status}\`, 'success');
+                setTimeout(hideStatus, 3000);
+                loadJobs();
+            } catch (error) {
+                showStatus(\`Failed to \${action} job: \${error.message}\`, 'error');
+            }
+        }
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+
         async function checkStatus() {
             try {
                 const response = await fetch('/status');
@@ -247,8 +533,10 @@ app.get('/', (req, res) => {
             document.getElementById('status').classList.add('hidden');
         }
 
-        // Load episodes on page load
+        // Load episodes and jobs on page load, keep the job list fresh
         loadEpisodes();
+        loadJobs();
+        setInterval(loadJobs, 10000);
     </script>
 </body>
 </html>
@@ -256,6 +544,23 @@ app.get('/', (req, res) => {
 });
 
 // Helper functions
+async function checkAllSources() {
+  await Promise.all(sources.map(source => source.checkForNewFiles()));
+}
+
+// Unknown jobs are 404s, actions that don't apply to the job's current state 409s
+async function handleJobAction(res, action) {
+  try {
+    const job = await action();
+    res.json(processingQueue.describeJob(job));
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Job action failed:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
 async function getAvailableEpisodes() {
   const generatedDir = './generated';
   
@@ -264,24 +569,27 @@ async function getAvailableEpisodes() {
   }
   
   const episodes = [];
-  const dirs = await fs.readdir(generatedDir);
-  
-  for (const dir of dirs) {
-    if (dir.startsWith('episode-')) {
-      const episodeNumber = parseInt(dir.replace('episode-', ''));
-      const episodeData = await getEpisodeData(episodeNumber);
-      episodes.push(episodeData);
-    }
+  for (const episode of await processingQueue.dataLogger.listEpisodes()) {
+    episodes.push(await getEpisodeData(episode));
   }
   
-  return episodes.sort((a, b) => b.number - a.number);
+  return episodes.sort((a, b) => a.podcast.localeCompare(b.podcast) || (b.season || 0) - (a.season || 0) || b.number - a.number);
 }
 
-async function getEpisodeData(episodeNumber) {
-  const episodeDir = `./generated/episode-${episodeNumber.toString().padStart(2, '0')}`;
+// The episode in the route's :podcast and :episode parameters
+function episodeParam(req) {
+  const episode = getPodcast(req.params.podcast) ? parseEpisode(req.params.podcast, req.params.episode) : null;
+  if (!episode) {
+    throw Object.assign(new Error(`No episode "${req.params.episode}" of podcast "${req.params.podcast}"`), { status: 404 });
+  }
+  return episode;
+}
+
+async function getEpisodeData(episode) {
+  const episodeDir = processingQueue.dataLogger.getEpisodeDir(episode);
   
   if (!await fs.pathExists(episodeDir)) {
-    throw new Error(`Episode ${episodeNumber} not found`);
+    throw new Error(`${describeEpisode(episode)} not found`);
   }
   
   // Load extracted content
@@ -301,15 +609,26 @@ async function getEpisodeData(episodeNumber) {
   }
   
   return {
-    number: episodeNumber,
+    podcast: episode.podcast,
+    season: episode.season,
+    number: episode.number,
+    code: episodeCode(episode),
     title: extractedContent.title,
     stats: {
       tracks: extractedContent.tracks?.length || 0,
       events: extractedContent.events?.length || 0,
       guests: extractedContent.guests?.length || 0,
       duration: extractedContent.duration || 'Unknown',
-      hasMonologue: !!extractedContent.openingMonologue
+      hasMonologue: !!extractedContent.openingMonologue,
+      links: metadata.links || null,
+      enrichment: metadata.enrichment || null
     },
+    unverifiedLinks: (extractedContent.tracks || [])
+      .filter(track => track.linkStatus === 'unverified')
+      .map(track => ({ artist: track.artist, title: track.title })),
+    catalogReview: (extractedContent.tracks || [])
+      .map((track, index) => ({ index, artist: track.artist, title: track.title, ...track.catalog }))
+      .filter(track => track.status === 'review'),
     metadata
   };
 }
@@ -318,10 +637,17 @@ async function getEpisodeData(episodeNumber) {
 cron.schedule('*/5 * * * *', async () => {
   logger.info('Scheduled check starting...');
   try {
-    await driveWatcher.checkForNewFiles();
+    await checkAllSources();
   } catch (error) {
     logger.error('Scheduled check failed:', error);
   }
+
+  // Parked jobs whose AssemblyAI webhook never came
+  try {
+    await processingQueue.checkAwaitingTranscripts();
+  } catch (error) {
+    logger.error('Transcript recovery check failed:', error);
+  }
 });
 
 // Start server
@@ -329,9 +655,21 @@ app.listen(PORT, () => {
   logger.info(`🔨 CastSmith started on port ${PORT}`);
   logger.info('Scheduled checks every 5 minutes');
   
+  // Pick up jobs interrupted by a restart or crash
+  processingQueue.resume().catch(error => {
+    logger.error('Failed to resume processing queue:', error);
+  });
+  
+  // Subscribe to Drive changes; polling stays as a fallback
+  for (const channel of pushChannels) {
+    channel.start().catch(error => {
+      logger.error('Failed to start Drive push channel:', error);
+    });
+  }
+  
   // Initial check on startup
   setTimeout(() => {
-    driveWatcher.checkForNewFiles();
+    checkAllSources();
   }, 5000);
 });
 
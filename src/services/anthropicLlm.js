@@ -0,0 +1,28 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+// LLM provider calling Claude through the Anthropic API (see llmClient.js for the provider interface)
+export class AnthropicLlm {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.defaultModel = 'claude-sonnet-4-20250514';
+    this.settings = {};
+    this.client = new Anthropic({
+      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY
+    });
+  }
+
+  async complete(messages, { model, temperature, maxTokens }) {
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages
+    });
+
+    return {
+      text: response.content[0]?.text || '',
+      truncated: response.stop_reason === 'max_tokens'
+    };
+  }
+}
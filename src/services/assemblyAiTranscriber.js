@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { AssemblyAI } from 'assemblyai';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/retry.js';
+
+// With both set, transcripts are submitted with a webhook instead of being polled for
+const WEBHOOK_URL = process.env.ASSEMBLYAI_WEBHOOK_URL;
+const WEBHOOK_TOKEN = process.env.ASSEMBLYAI_WEBHOOK_TOKEN;
+
+// AssemblyAI sends this header back with every webhook call
+export const WEBHOOK_AUTH_HEADER = 'X-CastSmith-Webhook-Token';
+
+// Only used without webhooks
+const POLLING_TIMEOUT_MS = parseInt(process.env.ASSEMBLYAI_POLLING_TIMEOUT_MINUTES || '180') * 60 * 1000;
+
+export function webhooksEnabled() {
+  return !!(WEBHOOK_URL && WEBHOOK_TOKEN);
+}
+
+export function isValidWebhookToken(token) {
+  if (!WEBHOOK_TOKEN || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(WEBHOOK_TOKEN);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Transcription provider backed by the AssemblyAI API (see transcriptionService.js for the provider interface).
+// With webhooks enabled it also supports submit() / getResult(), so a job can wait for the callback
+// instead of holding on to a poll loop.
+export class AssemblyAiTranscriber {
+  constructor(options = {}) {
+    this.name = 'assemblyai';
+    this.label = 'AssemblyAI';
+    this.options = options;
+    this.settings = { language: options.language || 'fr', speakersExpected: options.speakersExpected || 4 };
+    this.webhooksEnabled = webhooksEnabled();
+    this.client = new AssemblyAI({
+      apiKey: process.env.ASSEMBLYAI_API_KEY
+    });
+    // Transcript ids submitted for each audio file and not finished yet: a retried step
+    // goes back to polling the same transcript instead of uploading and paying for it again
+    this.submitted = new Map();
+  }
+
+  async transcribe(audioFilePath, { signal, vocabulary } = {}) {
+    let transcriptId = this.submitted.get(audioFilePath);
+    if (transcriptId) {
+      logger.info(`Resuming the wait for transcript ${transcriptId}`);
+    } else {
+      const transcript = await this.client.transcripts.submit(await this.buildConfig(audioFilePath, vocabulary));
+      transcriptId = transcript.id;
+      this.submitted.set(audioFilePath, transcriptId);
+      logger.info(`Transcription job submitted: ${transcriptId}`);
+    }
+
+    // Poll for completion
+    const completedTranscript = await this.waitUntilReady(transcriptId, {
+      pollingInterval: 5000, // Check every 5 seconds
+      pollingTimeout: POLLING_TIMEOUT_MS,
+      signal
+    });
+    this.submitted.delete(audioFilePath);
+
+    return this.toResult(completedTranscript);
+  }
+
+  // Submit without waiting; AssemblyAI calls WEBHOOK_URL once the transcript is done
+  async submit(audioFilePath, { vocabulary } = {}) {
+    const transcript = await this.client.transcripts.submit({
+      ...await this.buildConfig(audioFilePath, vocabulary),
+      webhook_url: WEBHOOK_URL,
+      webhook_auth_header_name: WEBHOOK_AUTH_HEADER,
+      webhook_auth_header_value: WEBHOOK_TOKEN
+    });
+    logger.info(`Transcription job submitted: ${transcript.id} (webhook)`);
+
+    return { id: transcript.id };
+  }
+
+  // null while AssemblyAI is still working on it
+  async getResult(transcriptId) {
+    const transcript = await this.getTranscriptById(transcriptId);
+
+    if (transcript.status !== 'completed' && transcript.status !== 'error') {
+      return null;
+    }
+
+    return this.toResult(transcript);
+  }
+
+  async buildConfig(audioFilePath, vocabulary = []) {
+    const config = {
+      audio_url: audioFilePath, // For local files, need to upload first
+      speaker_labels: true,
+      speakers_expected: this.options.speakersExpected || 4, // Jerohm + 3 guests typical
+      punctuate: true,
+      format_text: true,
+      language_code: this.options.language || 'fr', // French podcast
+      boost_param: 'high', // Better for music discussions
+      filter_profanity: false // Keep authentic content
+    };
+
+    // Artist, label and guest names AssemblyAI would otherwise mangle
+    if (vocabulary.length > 0) {
+      config.word_boost = vocabulary;
+    }
+
+    // If it's a local file, upload it first
+    if (!audioFilePath.startsWith('http')) {
+      logger.debug('Uploading local file to AssemblyAI...');
+      const uploadUrl = await this.client.files.upload(audioFilePath);
+      config.audio_url = uploadUrl;
+    }
+
+    return config;
+  }
+
+  toResult(transcript) {
+    if (transcript.status === 'error') {
+      // The audio itself was rejected, submitting it again won't help
+      const error = new Error(`Transcription failed: ${transcript.error}`);
+      error.permanent = true;
+      throw error;
+    }
+
+    return {
+      text: transcript.text,
+      confidence: transcript.confidence,
+      duration: transcript.audio_duration,
+      utterances: transcript.utterances || [],
+      raw: transcript
+    };
+  }
+
+  // Same as the SDK's waitUntilReady, but stops polling as soon as `signal` aborts (job cancelled)
+  async waitUntilReady(transcriptId, { pollingInterval, pollingTimeout, signal }) {
+    const deadline = Date.now() + pollingTimeout;
+
+    for (;;) {
+      const transcript = await this.client.transcripts.get(transcriptId);
+
+      if (transcript.status === 'completed' || transcript.status === 'error') {
+        return transcript;
+      }
+
+      // Permanent: AssemblyAI is still working on it, and retrying the step at once would only
+      // wait again. A later retry of the job resumes polling it (see transcribe).
+      if (Date.now() >= deadline) {
+        throw Object.assign(
+          new Error(`Polling timeout of ${pollingTimeout}ms reached for transcript ${transcriptId}`),
+          { permanent: true }
+        );
+      }
+
+      await sleep(pollingInterval, signal);
+    }
+  }
+
+  async getTranscriptById(transcriptId) {
+    try {
+      const transcript = await this.client.transcripts.get(transcriptId);
+      return transcript;
+    } catch (error) {
+      logger.error(`Failed to get transcript ${transcriptId}:`, error);
+      throw error;
+    }
+  }
+
+  // For testing with shorter files
+  async quickTranscribe(audioUrl) {
+    try {
+      const config = {
+        audio_url: audioUrl,
+        punctuate: true,
+        format_text: true,
+        language_code: this.options.language || 'fr'
+      };
+
+      const transcript = await this.client.transcripts.submit(config);
+      const result = await this.client.transcripts.waitUntilReady(transcript.id);
+
+      return {
+        text: result.text,
+        confidence: result.confidence
+      };
+    } catch (error) {
+      logger.error('Quick transcription failed:', error);
+      throw error;
+    }
+  }
+}
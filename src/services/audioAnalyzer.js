@@ -0,0 +1,172 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { logger } from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Anything quieter than this for at least this long counts as silence in the full mix
+const SILENCE_DB = parseInt(process.env.ANALYSIS_SILENCE_DB || '-40');
+const MIN_SILENCE_SECONDS = parseFloat(process.env.ANALYSIS_MIN_SILENCE_SECONDS || '1.5');
+// Uninterrupted music at least this long is a guest mix rather than a track played between talks
+const GUEST_MIX_MIN_MS = parseInt(process.env.ANALYSIS_GUEST_MIX_MINUTES || '15') * 60 * 1000;
+
+// Pauses shorter than this don't split a talk segment
+const TALK_GAP_MS = 3000;
+// Shorter music (a jingle, a bed under a pause) is folded into the talk around it
+const MIN_MUSIC_MS = 20000;
+
+const ANALYSIS_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Splits the full mix into talk, music and guest-mix segments. ffmpeg's silencedetect finds where the
+// mix is audible; the voice track's utterances tell which of those parts are people talking.
+// Both files are assumed to start at the same time, as exported from the same session.
+export class AudioAnalyzer {
+  async analyze(fullMixPath, transcript, { signal } = {}) {
+    const { duration, silences } = await this.detectSilences(fullMixPath, signal);
+    const segments = this.buildTimeline(duration, silences, transcript.timestamps || []);
+
+    const total = type => segments.filter(segment => segment.type === type)
+      .reduce((sum, segment) => sum + segment.end - segment.start, 0);
+    const timeline = {
+      duration,
+      segments,
+      summary: {
+        talk: total('talk'),
+        music: total('music'),
+        guestMix: total('guest_mix'),
+        silence: total('silence')
+      },
+      settings: { silenceDb: SILENCE_DB, minSilenceSeconds: MIN_SILENCE_SECONDS, guestMixMinMs: GUEST_MIX_MIN_MS },
+      analyzedAt: new Date().toISOString()
+    };
+
+    logger.info(`Timeline: ${segments.length} segment(s), ${Math.round(timeline.summary.music / 60000)} min of music`);
+    return timeline;
+  }
+
+  // { duration (ms), silences: [{ start, end }] (ms) } from one pass of ffmpeg over the file
+  async detectSilences(audioFilePath, signal) {
+    let stderr;
+    try {
+      ({ stderr } = await execFileAsync('ffmpeg', [
+        '-nostdin', '-hide_banner', '-nostats',
+        '-i', audioFilePath,
+        '-af', `silencedetect=noise=${SILENCE_DB}dB:d=${MIN_SILENCE_SECONDS}`,
+        '-f', 'null', '-'
+      ], { signal, timeout: ANALYSIS_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 }));
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
+      const reason = error.code === 'ENOENT'
+        ? 'ffmpeg not found, install it to analyze the full mix'
+        : `ffmpeg failed: ${(error.stderr || error.message).toString().trim().split('\n').slice(-3).join(' ')}`;
+      throw Object.assign(new Error(reason), { permanent: true });
+    }
+
+    const durationMatch = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!durationMatch) {
+      throw Object.assign(new Error(`Could not read the duration of ${audioFilePath}`), { permanent: true });
+    }
+    const [, hours, minutes, seconds] = durationMatch;
+    const duration = Math.round(((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseFloat(seconds)) * 1000);
+
+    const silences = [];
+    for (const [, kind, value] of stderr.matchAll(/silence_(start|end): (-?\d+(?:\.\d+)?)/g)) {
+      const time = Math.max(0, Math.round(parseFloat(value) * 1000));
+      if (kind === 'start') {
+        silences.push({ start: time, end: duration });
+      } else if (silences.length > 0) {
+        silences[silences.length - 1].end = time;
+      }
+    }
+
+    return { duration, silences };
+  }
+
+  // Contiguous [{ type: 'talk' | 'music' | 'guest_mix' | 'silence', start, end }] covering the whole mix
+  buildTimeline(duration, silences, utterances) {
+    const talks = mergeIntervals(
+      utterances.map(utterance => ({ start: utterance.start, end: Math.min(utterance.end, duration) })),
+      TALK_GAP_MS
+    );
+    const segments = [];
+    const push = (type, start, end) => {
+      if (end <= start) return;
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.end = end;
+      } else {
+        segments.push({ type, start, end });
+      }
+    };
+
+    // Walk the mix in order: talk wins, silence stays silence, the rest of what's audible is music
+    const boundaries = [...new Set([
+      0, duration,
+      ...talks.flatMap(talk => [talk.start, talk.end]),
+      ...silences.flatMap(silence => [silence.start, silence.end])
+    ])].filter(time => time >= 0 && time <= duration).sort((a, b) => a - b);
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const start = boundaries[i];
+      const end = boundaries[i + 1];
+      const middle = (start + end) / 2;
+
+      if (talks.some(talk => talk.start <= middle && middle < talk.end)) {
+        push('talk', start, end);
+      } else if (silences.some(silence => silence.start <= middle && middle < silence.end)) {
+        push('silence', start, end);
+      } else {
+        push('music', start, end);
+      }
+    }
+
+    return this.relabel(this.absorbShortMusic(segments));
+  }
+
+  // Short music between or next to talk becomes talk, silences inside talk too
+  absorbShortMusic(segments) {
+    const result = [];
+    for (const segment of segments) {
+      const short = segment.end - segment.start < MIN_MUSIC_MS;
+      const last = result[result.length - 1];
+
+      if (last && short && segment.type !== 'talk' && last.type === 'talk') {
+        last.end = segment.end;
+      } else if (last && last.type === segment.type) {
+        last.end = segment.end;
+      } else if (last && segment.type === 'talk' && last.type !== 'talk' && last.end - last.start < MIN_MUSIC_MS) {
+        // A short stretch right before talk starts belongs to it
+        last.type = 'talk';
+        last.end = segment.end;
+      } else {
+        result.push({ ...segment });
+      }
+    }
+    return result;
+  }
+
+  relabel(segments) {
+    return segments.map(segment => (
+      segment.type === 'music' && segment.end - segment.start >= GUEST_MIX_MIN_MS
+        ? { ...segment, type: 'guest_mix' }
+        : segment
+    ));
+  }
+}
+
+function mergeIntervals(intervals, gap) {
+  const sorted = intervals.filter(interval => interval.end > interval.start).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start - last.end <= gap) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
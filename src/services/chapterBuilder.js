@@ -0,0 +1,99 @@
+import { MentionLocator } from './mentionLocator.js';
+import { getProfile } from '../utils/podcastProfile.js';
+
+// Two chapters closer than this are one too many: the more important one is kept
+const MIN_CHAPTER_GAP_MS = 30000;
+
+// Which chapter wins when two fall within MIN_CHAPTER_GAP_MS of each other
+const PRIORITY = { opening: 0, guest_mix: 1, track: 2, event: 3 };
+
+// Places chapters on the episode's timeline: the opening, the guest mix (from the analysis timeline)
+// and the first time each track or event is brought up in the transcript.
+// A chapter is { id, kind, startTime (s), title, generatedTitle }; ids stay the same between runs
+// so edited titles ({ id: title }) can be applied again. Titles are worded by the profile's labels.
+export class ChapterBuilder {
+  build(transcript, content, timeline = null, labels = getProfile(content.podcast).labels) {
+    const locator = new MentionLocator(transcript);
+    const firstMention = (...tiers) => locator.find(...tiers)[0]?.start ?? null;
+
+    const candidates = [{
+      id: 'opening',
+      kind: 'opening',
+      start: 0,
+      title: content.openingMonologue ? labels.openingMonologueChapter : labels.openingChapter
+    }];
+
+    const guests = content.guests || [];
+    (timeline?.segments || [])
+      .filter(segment => segment.type === 'guest_mix')
+      .forEach((segment, index) => candidates.push({
+        id: `guest-mix-${index + 1}`,
+        kind: 'guest_mix',
+        start: segment.start,
+        title: guests.length === 1 ? `${labels.guestMixChapter} – ${guests[0].name}` : labels.guestMixChapter
+      }));
+
+    (content.tracks || []).forEach((track, index) => {
+      // The title pins down the track; the artist alone may be about another of their tracks
+      const start = firstMention([track.title], [track.artist]);
+      if (start !== null) {
+        candidates.push({
+          id: `track-${index + 1}`,
+          kind: 'track',
+          start,
+          title: [track.artist, track.title].filter(Boolean).join(' – ')
+        });
+      }
+    });
+
+    (content.events || []).forEach((event, index) => {
+      const start = firstMention([event.name]);
+      if (start !== null) {
+        candidates.push({ id: `event-${index + 1}`, kind: 'event', start, title: `${labels.eventChapter} – ${event.name}` });
+      }
+    });
+
+    const kept = [];
+    for (const candidate of candidates.sort((a, b) => PRIORITY[a.kind] - PRIORITY[b.kind] || a.start - b.start)) {
+      if (!kept.some(chapter => Math.abs(chapter.start - candidate.start) < MIN_CHAPTER_GAP_MS)) {
+        kept.push(candidate);
+      }
+    }
+
+    return kept
+      .sort((a, b) => a.start - b.start)
+      .map(({ id, kind, start, title }) => ({
+        id,
+        kind,
+        startTime: Math.round(start / 1000),
+        title,
+        generatedTitle: title
+      }));
+  }
+
+  // Edited titles win, a chapter without one goes back to its generated title
+  applyTitles(chapters, titles = {}) {
+    return chapters.map(chapter => ({
+      ...chapter,
+      title: titles[chapter.id] || chapter.generatedTitle
+    }));
+  }
+
+  // Podcasting 2.0 chapters file (podcast:chapters, application/json+chapters)
+  toPodcastJson(chapters) {
+    return JSON.stringify({
+      version: '1.2.0',
+      chapters: chapters.map(chapter => ({ startTime: chapter.startTime, title: chapter.title }))
+    }, null, 2);
+  }
+}
+
+// 12:34, or 1:02:03 past the hour
+export function formatChapterTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds / 60) % 60;
+  const secs = seconds % 60;
+  const pad = value => value.toString().padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+}
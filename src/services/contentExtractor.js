@@ -1,39 +1,77 @@
-import Anthropic from '@anthropic-ai/sdk';
 import { logger } from '../utils/logger.js';
+import { getFilenameGrammar } from '../utils/filenameGrammar.js';
+import { ResultCache, hashValue } from '../utils/resultCache.js';
+import { formatTranscript } from './speakerMapper.js';
+import { formatChapterTime } from './chapterBuilder.js';
+import { normalize } from '../utils/textMatch.js';
+import { getProfile } from '../utils/podcastProfile.js';
+import { validate, schemasFor, EXTRACTION_SCHEMA } from './extractionSchema.js';
+import { LlmClient } from './llmClient.js';
+
+// Invalid answers are sent back with their errors this many times before giving up
+const REPAIR_ATTEMPTS = parseInt(process.env.EXTRACTION_REPAIR_ATTEMPTS || '2');
+// Without it, an extraction that never validates fails the job instead of producing placeholder content
+const ALLOW_FALLBACK = process.env.EXTRACTION_ALLOW_FALLBACK === 'true';
+
+// Longer transcripts are extracted window by window (about 4 characters per token),
+// each window repeating the end of the previous one so a track discussed across the cut isn't lost
+const WINDOW_CHARS = parseInt(process.env.EXTRACTION_WINDOW_CHARS || '60000');
+const WINDOW_OVERLAP_CHARS = parseInt(process.env.EXTRACTION_WINDOW_OVERLAP_CHARS || '3000');
 
 export class ContentExtractor {
   constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
+    this.llm = new LlmClient();
+    this.cache = new ResultCache('extractions');
   }
 
-  async extract(transcript, filename) {
+  // refresh calls the model even when this transcript was already extracted with the same prompt and model
+  async extract(transcript, filename, podcastName = process.env.PODCAST_NAME || 'podcast', { refresh = false } = {}) {
     try {
-      logger.info('Starting content extraction from transcript');
-
-      // Extract episode number from filename using podcast name
-      const podcastName = process.env.PODCAST_NAME || 'podcast';
-      const episodeMatch = filename.match(new RegExp(`${podcastName}-(\\d+)`, 'i'));
-      const episodeNumber = episodeMatch ? parseInt(episodeMatch[1]) : null;
-
-      const prompt = this.buildExtractionPrompt(transcript.text, episodeNumber);
-
-      const response = await this.anthropic.messages.create({
-        model: 'claude-4-sonnet-20250514',
-        max_tokens: 8000,
-        temperature: 0.1,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+      const parsedFilename = getFilenameGrammar(podcastName).parse(filename);
+      const episodeNumber = parsedFilename?.episode ?? null;
+      const season = parsedFilename?.season ?? null;
+      const transcriptText = formatTranscript(transcript);
+      const profile = getProfile(podcastName);
+
+      const key = this.cacheKey(transcriptText, episodeNumber, season, profile);
+      const cached = refresh ? null : await this.cache.get(key);
+      if (cached) {
+        logger.info('Reusing cached content extraction');
+        // Credits, disclaimer and labels may have changed in the profile since
+        return { ...cached, markdownContent: this.generateMarkdown(cached, profile), cache: { key, hit: true } };
+      }
+
+      logger.info(`Starting content extraction from transcript (profile ${profile.name}, ${this.llm.settings.provider} ${this.llm.settings.model})`);
+
+      const windows = this.splitTranscript(transcript);
+      const { content, attempts, errors } = windows.length > 1
+        ? await this.extractInWindows(windows, episodeNumber, profile)
+        : await this.requestValidContent(
+          this.buildExtractionPrompt(transcriptText, episodeNumber, profile), schemasFor(profile.sections, profile.labels.linkToCheck).extraction, profile
+        );
+
+      if (!content) {
+        const summary = `Extraction still invalid after ${attempts} attempt(s): ${errors.slice(0, 5).join('; ')}`;
+        if (!ALLOW_FALLBACK) {
+          throw Object.assign(new Error(summary), { permanent: true });
+        }
 
-      const extractedText = response.content[0].text;
-      const parsedContent = this.parseExtractedContent(extractedText, episodeNumber, transcript);
+        // Not cached, so a retry asks the model again
+        logger.warn(`${summary}. Using fallback content, publishing is blocked`);
+        return { ...this.createFallbackContent(episodeNumber, transcript, season, podcastName), validationErrors: errors };
+      }
+
+      const parsedContent = {
+        ...this.buildContent(content, episodeNumber, transcript, season, podcastName),
+        extractionAttempts: attempts,
+        extractionWindows: windows.length,
+        // What produced it, to reproduce the extraction
+        llm: this.llm.settings
+      };
+      await this.cache.set(key, parsedContent);
 
       logger.info('Content extraction completed');
-      return parsedContent;
+      return { ...parsedContent, cache: { key, hit: false } };
 
     } catch (error) {
       logger.error('Content extraction failed:', error);
@@ -41,111 +79,195 @@ export class ContentExtractor {
     }
   }
 
-  buildExtractionPrompt(transcriptText, _episodeNumber) {
-    return `Tu es un expert en musique électronique et en podcasts. Analyse cette transcription d'un épisode du podcast "Cosmic, L'émission" et extrais les informations suivantes:
+  // The transcript as sent to the model, plus the profile's prompts (rendered around an empty transcript) and the LLM settings:
+  // editing a prompt, switching models or changing the temperature makes earlier extractions miss
+  cacheKey(transcriptText, episodeNumber, season, profile = getProfile()) {
+    return hashValue({
+      transcript: hashValue(transcriptText || ''),
+      prompt: hashValue([
+        this.buildExtractionPrompt('', episodeNumber, profile),
+        this.buildWindowPrompt('', 0, 2, profile),
+        this.buildSummaryPrompt('', {}, episodeNumber, profile),
+        profile.templates.repair
+      ]),
+      windows: { size: WINDOW_CHARS, overlap: WINDOW_OVERLAP_CHARS },
+      llm: this.llm.settings,
+      episodeNumber,
+      season
+    });
+  }
 
-TRANSCRIPTION:
-${transcriptText}
+  buildExtractionPrompt(transcriptText, _episodeNumber, profile = getProfile()) {
+    return profile.render('extraction', { transcript: transcriptText });
+  }
 
-INSTRUCTIONS:
-Analyse cette transcription et extrais le contenu pour créer un épisode de podcast structuré. 
+  buildWindowPrompt(windowText, index, windowCount, profile = getProfile()) {
+    return profile.render('window', { transcript: windowText, part: index + 1, parts: windowCount });
+  }
 
-1. TITRE DE L'ÉPISODE: Crée un titre accrocheur (SANS ":" car cela casse le YAML)
+  // Last map-reduce call: the texts of the page, from the merged lists and the start of the episode
+  buildSummaryPrompt(openingText, merged, _episodeNumber, profile = getProfile()) {
+    return profile.render('summary', { transcript: openingText, lists: JSON.stringify(merged, null, 2) });
+  }
 
-2. MONOLOGUE D'OUVERTURE DE JEROHM: Extrais le texte du début jusqu'à "Bienvenue dans l'émission" ou "numéro x de radio" ou "bonjour à tous" (tout ce qui marque le début officiel de l'émission)
+  // Map-reduce for transcripts longer than one window: tracks, events and guests are extracted per window
+  // and merged, then a last call writes the title, description and monologue from the merged lists
+  async extractInWindows(windows, episodeNumber, profile = getProfile()) {
+    logger.info(`Transcript too long for one request, extracting in ${windows.length} windows`);
+    const schemas = schemasFor(profile.sections, profile.labels.linkToCheck);
+    let attempts = 0;
+    const partials = [];
+
+    for (const [index, windowText] of windows.entries()) {
+      const prompt = this.buildWindowPrompt(windowText, index, windows.length, profile);
+      const result = await this.requestValidContent(prompt, schemas.window, profile);
+      attempts += result.attempts;
+      if (!result.content) {
+        return { content: null, attempts, errors: result.errors.map(error => `window ${index + 1}: ${error}`) };
+      }
+      partials.push(result.content);
+    }
 
-3. MORCEAUX MENTIONNÉS: Pour chaque track, inclus:
-   - Artiste
-   - Titre du morceau
-   - Année/Label si mentionné  
-   - Genre musical
-   - Lien YouTube/SoundCloud FONCTIONNEL (obligatoire - cherche le vrai titre sur ces plateformes)
+    const merged = mergeExtractions(partials, schemas.window.required, profile.labels.linkToCheck);
+    logger.info(`Merged windows: ${Object.entries(merged).map(([list, items]) => `${items.length} ${list}`).join(', ')}`);
 
-4. ÉVÉNEMENTS/FESTIVALS mentionnés avec lieux
+    // The opening monologue is at the start, so the first window is the only transcript the summary needs
+    const summaryPrompt = this.buildSummaryPrompt(windows[0], merged, episodeNumber, profile);
+    const summary = await this.requestValidContent(summaryPrompt, schemas.summary, profile);
+    attempts += summary.attempts;
+    if (!summary.content) {
+      return { content: null, attempts, errors: summary.errors.map(error => `summary: ${error}`) };
+    }
 
-5. INVITÉS/DJS mentionnés avec leurs liens
+    const content = { ...summary.content, ...merged };
+    const errors = validate(content, schemas.extraction);
+    return { content: errors.length === 0 ? content : null, attempts, errors };
+  }
 
-6. DESCRIPTION de l'épisode (2-3 phrases sur le contenu musical)
+  // Windows of at most WINDOW_CHARS along utterance boundaries ("Name: text" once speakers are named);
+  // a single window when the whole transcript fits
+  splitTranscript(transcript) {
+    const names = transcript.speakerNames || {};
+    const named = Object.keys(names).length > 0;
+    const utterances = transcript.timestamps || [];
+
+    const units = (utterances.length > 0
+      ? utterances.map(utterance => named ? `${names[utterance.speaker] || `Speaker ${utterance.speaker}`}: ${utterance.text}` : utterance.text)
+      : [transcript.text || '']
+    ).flatMap(unit => unit.length > WINDOW_CHARS ? unit.split(/(?<=[.!?…])\s+/) : [unit]);
+
+    const windows = [];
+    let current = [];
+    let length = 0;
+
+    for (const unit of units) {
+      if (length + unit.length > WINDOW_CHARS && current.length > 0) {
+        windows.push(current.join('\n\n'));
+
+        // Carry the end of this window over to the next one
+        const overlap = [];
+        let overlapLength = 0;
+        for (let i = current.length - 1; i > 0 && overlapLength + current[i].length <= WINDOW_OVERLAP_CHARS; i--) {
+          overlap.unshift(current[i]);
+          overlapLength += current[i].length;
+        }
+        current = overlap;
+        length = overlapLength;
+      }
+      current.push(unit);
+      length += unit.length;
+    }
+    windows.push(current.join('\n\n'));
 
-IMPORTANT pour les liens:
-- Trouve les VRAIS liens YouTube qui fonctionnent
-- Format: https://www.youtube.com/watch?v=VIDEO_ID  
-- Si incertain, écris "Lien à vérifier"
-- Privilégie les liens officiels des artistes
+    return windows;
+  }
 
-RÉPONDS EN JSON STRICTEMENT DANS CE FORMAT:
-\`\`\`json
-{
-  "title": "Titre de l'épisode (sans deux-points)",
-  "description": "Description de l'épisode en 2-3 phrases",
-  "openingMonologue": "Texte du monologue d'ouverture de Jerohm",
-  "tracks": [
-    {
-      "title": "Nom du morceau",
-      "artist": "Nom de l'artiste", 
-      "label": "Nom du label ou null",
-      "year": "2024 ou null",
-      "genre": "Genre musical",
-      "youtubeLink": "https://www.youtube.com/watch?v=VIDEO_ID ou null"
+  // Asks the model, then sends invalid or truncated answers back with what is wrong, up to REPAIR_ATTEMPTS times.
+  // Resolves to { content, attempts, errors }, content being null when no answer validated.
+  async requestValidContent(prompt, schema = EXTRACTION_SCHEMA, profile = getProfile()) {
+    const messages = [{ role: 'user', content: prompt }];
+    let errors = [];
+    let attempt = 0;
+
+    while (attempt <= REPAIR_ATTEMPTS) {
+      attempt++;
+      const { text: extractedText, truncated } = await this.llm.complete(messages);
+      let content;
+      ({ content, errors } = this.parseResponse(extractedText, truncated, schema));
+
+      if (errors.length === 0) {
+        if (attempt > 1) {
+          logger.info(`Extraction repaired on attempt ${attempt}`);
+        }
+        return { content, attempts: attempt, errors };
+      }
+
+      logger.warn(`Extraction attempt ${attempt} is invalid: ${errors.slice(0, 5).join('; ')}`);
+      messages.push(
+        { role: 'assistant', content: extractedText.trimEnd() || profile.labels.emptyAnswer },
+        { role: 'user', content: this.buildRepairPrompt(errors, truncated, profile) }
+      );
     }
-  ],
-  "events": [
-    {
-      "name": "Nom de l'événement",
-      "location": "Lieu",
-      "type": "festival/soirée/club"
+
+    return { content: null, attempts: attempt, errors };
+  }
+
+  // { content, errors }: the JSON found in the answer and what's wrong with it against the schema
+  parseResponse(extractedText, truncated = false, schema = EXTRACTION_SCHEMA) {
+    if (truncated) {
+      return { content: null, errors: [`the answer was cut off at ${this.llm.maxTokens} tokens`] };
     }
-  ],
-  "guests": [
-    {
-      "name": "Nom de l'invité",
-      "project": "Nom du projet/collectif",
-      "links": ["url1", "url2"]
+
+    const fenced = extractedText.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+    const braces = extractedText.slice(extractedText.indexOf('{'), extractedText.lastIndexOf('}') + 1);
+    const jsonContent = fenced ? fenced[1] : braces || extractedText;
+
+    let content;
+    try {
+      content = JSON.parse(jsonContent);
+    } catch (error) {
+      return { content: null, errors: [`invalid JSON: ${error.message}`] };
     }
-  ]
-}
-\`\`\`
 
-IMPORTANT: 
-- Réponds UNIQUEMENT avec le JSON, pas d'autre texte
-- Si une info n'est pas disponible, utilise null
-- Garde les noms d'artistes et morceaux exacts comme mentionnés`;
+    return { content, errors: validate(content, schema) };
   }
 
-  parseExtractedContent(extractedText, episodeNumber, transcript) {
-    try {
-      // Extract JSON from the response
-      const jsonMatch = extractedText.match(/```json\n([\s\S]*?)\n```/);
-      const jsonContent = jsonMatch ? jsonMatch[1] : extractedText;
-      
-      const parsed = JSON.parse(jsonContent);
-
-      // Add metadata
-      const result = {
-        episodeNumber,
-        ...parsed,
-        extractedAt: new Date().toISOString(),
-        transcriptMetadata: {
-          confidence: transcript.confidence,
-          duration: transcript.duration,
-          speakerCount: transcript.speakers ? transcript.speakers.length : 0
-        }
-      };
+  buildRepairPrompt(errors, truncated, profile = getProfile()) {
+    return profile.render('repair', {
+      truncated,
+      errors: errors.slice(0, 20).map(error => `- ${error}`).join('\n')
+    });
+  }
 
-      // Generate markdown content
-      result.markdownContent = this.generateMarkdown(result);
+  buildContent(parsed, episodeNumber, transcript, season = null, podcastName = process.env.PODCAST_NAME) {
+    // Add metadata; sections the profile doesn't extract stay empty
+    const result = {
+      podcast: podcastName,
+      episodeNumber,
+      season,
+      openingMonologue: null,
+      tracks: [],
+      events: [],
+      guests: [],
+      ...parsed,
+      generatedBy: this.generatedBy(transcript),
+      extractedAt: new Date().toISOString(),
+      transcriptMetadata: {
+        confidence: transcript.confidence,
+        duration: transcript.duration,
+        speakerCount: transcript.speakers ? transcript.speakers.length : 0
+      }
+    };
 
-      return result;
+    // Generate markdown content
+    result.markdownContent = this.generateMarkdown(result);
 
-    } catch (error) {
-      logger.error('Failed to parse extracted content:', error);
-      
-      // Fallback: create basic content
-      return this.createFallbackContent(episodeNumber, transcript);
-    }
+    return result;
   }
 
-  generateMarkdown(content) {
+  // The episode page, worded and credited by the podcast's profile
+  generateMarkdown(content, profile = getProfile(content.podcast)) {
+    const labels = profile.labels;
     const pubDate = new Date().toLocaleDateString('en-US', { 
       year: 'numeric', 
       month: 'short', 
@@ -158,35 +280,30 @@ audioUrl: "TO_BE_REPLACED_WITH_R2_URL"
 pubDate: "${pubDate}"
 duration: "${content.duration || '0:00:00'}"
 size: TO_BE_CALCULATED
-cover: "/images/ep${content.episodeNumber}.png"
-explicit: true
-episode: ${content.episodeNumber}
-season: 1
+${this.frontmatterExtras(content.episodeNumber, profile)}episode: ${content.episodeNumber}
+season: ${content.season || 1}
 episodeType: full
 ---
 
 # ${content.title}
 
-Animé par [Jerohm](https://jerohm.com/) avec la complicité de [Antoine aka Cosmic Turtle](https://i.seadn.io/gcs/files/a552993aecdcdb0aedd93116bc207e59.png?auto=format&w=1400&fr=1), [Greg aka Joe d'Absynth](https://soundcloud.com/gregory-berger-1) et [Kevin aka George Mood](https://soundcloud.com/george_mood)
-
-
-\`\`\`
-⚠️⚠️⚠️ DISCLAIMER ⚠️⚠️⚠️
-
-La page de cet épisode a été générée automatiquement par une IA (Claude Sonnet 4 de Anthropic), sur base d'un transcript lui-même généré par une IA (AssemblyAI) à partir de l'enregistrement audio
-
-Utiliser de l'intelligence artificielle nous permet de laisser libre cours à notre bêtise naturelle (ceci dit, c'est probablement l'inverse: notre bêtise naturelle nous pousse à utiliser de l'intelligence artificielle). 
+`;
 
-Toujours est-il que des erreurs ~~peuvent~~ doivent s'être glissées ici. N'hésitez pas à nous les communiquer si vous en décelez.
- \`\`\`
+    const credits = profile.format(profile.credits);
+    if (credits) {
+      markdown += `${credits}\n\n\n`;
+    }
 
----
+    const disclaimer = profile.format(profile.disclaimer, this.disclaimerVariables(content));
+    if (disclaimer) {
+      markdown += `\`\`\`\n${disclaimer}\n\`\`\`\n\n`;
+    }
 
-`;
+    markdown += `---\n\n`;
 
     // Add opening monologue if available
     if (content.openingMonologue) {
-      markdown += `## Le monologue de Jérôme
+      markdown += `## ${labels.openingMonologue}
 
 > ${content.openingMonologue.replace(/\n/g, '  \n> ')}
 
@@ -199,43 +316,95 @@ Toujours est-il que des erreurs ~~peuvent~~ doivent s'être glissées ici. N'hé
 
 `;
 
+    // Chapters are added by the processing queue once the transcript and timeline are known
+    if (content.chapters && content.chapters.length > 1) {
+      markdown += `## ${labels.chapters}\n\n`;
+      content.chapters.forEach(chapter => {
+        markdown += `- **${formatChapterTime(chapter.startTime)}** ${chapter.title}\n`;
+      });
+      markdown += `\n---\n\n`;
+    }
+
     // Add guest mix section if guests
     if (content.guests && content.guests.length > 0) {
-      markdown += `## Guest Mix\n\n`;
+      markdown += `## ${labels.guestMix}\n\n`;
       content.guests.forEach(guest => {
-        markdown += `[${guest.name}](${guest.project}) Merci encore !!\n\n`;
+        markdown += `[${guest.name}](${guest.project}) ${labels.guestThanks}${this.jumpLinks(guest, ' ')}\n\n`;
       });
     }
 
     // Add tracklist if tracks found
     if (content.tracks && content.tracks.length > 0) {
-      markdown += `## Morceaux mentionnés
+      // A time column once the tracks have been placed in the transcript (see MentionLocator)
+      const timed = content.tracks.some(track => track.mentions?.length > 0);
+      const columns = timed ? [labels.time, ...labels.trackColumns] : labels.trackColumns;
+      markdown += `## ${labels.tracks}
 
-| Artiste | Morceau | Info | Lien YouTube |
-|---------|---------|------|--------------|
+| ${columns.join(' | ')} |
+|${columns.map(column => '-'.repeat(column.length + 2)).join('|')}|
 `;
       content.tracks.forEach(track => {
-        const info = [track.label, track.year].filter(Boolean).join(' - ') || 'Original';
-        const link = track.youtubeLink ? `[écouter](${track.youtubeLink})` : 'Lien à vérifier';
-        markdown += `| ${track.artist} | ${track.title} | ${info} | ${link} |\n`;
+        const info = [track.label, track.year].filter(Boolean).join(' - ') || labels.original;
+        // Anything but a URL (the placeholder, or another word for it) is shown as the profile's label
+        const link = isUrl(track.youtubeLink) ? `[${labels.listen}](${track.youtubeLink})` : labels.linkToCheck;
+        const time = timed ? `${this.jumpLinks(track) || '-'} | ` : '';
+        markdown += `| ${time}${track.artist} | ${track.title} | ${info} | ${link} |\n`;
       });
       markdown += `\n---\n\n`;
     }
 
     // Add events if mentioned
     if (content.events && content.events.length > 0) {
-      markdown += `## Événements mentionnés\n\n`;
+      markdown += `## ${labels.events}\n\n`;
       content.events.forEach(event => {
         markdown += `- **${event.name}**`;
         if (event.location) markdown += ` - ${event.location}`;
-        markdown += `\n`;
+        markdown += `${this.jumpLinks(event, ' ')}\n`;
       });
     }
 
     return markdown;
   }
 
-  createFallbackContent(episodeNumber, transcript) {
+  // Links to the moments an item is talked about, e.g. "[12:34](<audio>#t=754)", the audio URL
+  // being filled in with the rest of the placeholders when the page is published
+  jumpLinks(item, prefix = '') {
+    const links = (item.mentions || []).map(mention => {
+      const seconds = Math.floor(mention.start / 1000);
+      return `[${formatChapterTime(seconds)}](TO_BE_REPLACED_WITH_R2_URL#t=${seconds})`;
+    });
+    return links.length > 0 ? `${prefix}${links.join(', ')}` : '';
+  }
+
+  // The model and the transcription provider that produced this content, for the disclaimer
+  generatedBy(transcript) {
+    return {
+      llm: this.llm.label,
+      model: this.llm.settings.model,
+      transcription: transcript.providerLabel || transcript.provider || null
+    };
+  }
+
+  // {{model}}, {{llmProvider}} and {{transcriber}}, empty when the content doesn't record them
+  // (the fallback content, or content extracted before they were recorded)
+  disclaimerVariables(content) {
+    return {
+      model: content.generatedBy?.model || '',
+      llmProvider: content.generatedBy?.llm || '',
+      transcriber: content.generatedBy?.transcription || ''
+    };
+  }
+
+  // cover and explicit lines, as the profile sets them
+  frontmatterExtras(episodeNumber, profile) {
+    const cover = profile.format(profile.cover, { episode: episodeNumber });
+    return `${cover ? `cover: "${cover}"\n` : ''}explicit: ${profile.explicit}\n`;
+  }
+
+  createFallbackContent(episodeNumber, transcript, season = null, podcastName = process.env.PODCAST_NAME) {
+    const profile = getProfile(podcastName);
+    const title = profile.format(profile.fallback.title || '{{showName}} {{episode}}', { episode: episodeNumber });
+    const description = profile.format(profile.fallback.description || '');
     const pubDate = new Date().toLocaleDateString('en-US', { 
       year: 'numeric', 
       month: 'short', 
@@ -243,32 +412,35 @@ Toujours est-il que des erreurs ~~peuvent~~ doivent s'être glissées ici. N'hé
     });
 
     return {
+      podcast: podcastName,
       episodeNumber,
-      title: `Episode ${episodeNumber}, Cosmic, L'émission`,
-      description: "Prolongement des soirées Cosmic. Animé par Jerohm avec la complicité de Cosmic Turtle, George Mood et Joe d'Absynth.",
+      season,
+      title,
+      description,
       duration: this.formatDuration(transcript.duration || 0),
       tracks: [],
       events: [],
       guests: [],
       topics: [],
+      // The model never gave a valid answer (see requestValidContent): kept for review, never published as is
+      fallback: true,
+      publishBlocked: true,
       markdownContent: `---
-title: Episode ${episodeNumber}, Cosmic, L'émission
+title: ${title}
 audioUrl: "TO_BE_REPLACED_WITH_R2_URL"
 pubDate: ${pubDate}
 duration: ${this.formatDuration(transcript.duration || 0)}
 size: TO_BE_CALCULATED
-cover: "/images/ep${episodeNumber}.png"
-explicit: true
-episode: ${episodeNumber}
-season: 1
+${this.frontmatterExtras(episodeNumber, profile)}episode: ${episodeNumber}
+season: ${season || 1}
 episodeType: full
 ---
 
-# Episode ${episodeNumber}, Cosmic, L'émission
+# ${title}
 
-Prolongement des soirées Cosmic. Animé par Jerohm avec la complicité de Cosmic Turtle, George Mood et Joe d'Absynth.
+${description}
 
-Transcription automatique en cours de traitement...
+${profile.fallback.body || ''}
 `
     };
   }
@@ -283,4 +455,45 @@ Transcription automatique en cours de traitement...
     }
     return `${minutes}:${secs.toString().padStart(2, '0')}`;
   }
-}
\ No newline at end of file
+}
+
+// How two copies of the same track, event or guest are recognised across windows
+const MERGE_KEYS = {
+  tracks: track => `${normalize(track.artist)}|${normalize(track.title)}`,
+  events: event => normalize(event.name),
+  guests: guest => normalize(guest.name)
+};
+
+// Joins the lists extracted from each window: the same track, event or guest found in two windows
+// (the overlap, or mentioned twice) is kept once, completed with whatever the other copy knew.
+// A link to check (the profile's placeholder) counts as missing.
+function mergeExtractions(partials, lists, linkToCheck) {
+  const mergeBy = (items, keyOf) => {
+    const merged = new Map();
+    for (const item of items) {
+      const key = keyOf(item);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...item });
+        continue;
+      }
+      for (const [field, value] of Object.entries(item)) {
+        if (Array.isArray(value)) {
+          existing[field] = [...new Set([...(existing[field] || []), ...value])];
+        } else if ((existing[field] === null || existing[field] === undefined || existing[field] === linkToCheck) && value !== null) {
+          existing[field] = value;
+        }
+      }
+    }
+    return [...merged.values()];
+  };
+
+  return Object.fromEntries(lists.map(list => [
+    list,
+    mergeBy(partials.flatMap(partial => partial[list] || []), MERGE_KEYS[list])
+  ]));
+}
+
+function isUrl(link) {
+  return /^https?:\/\//.test(link || '');
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { StateStore } from '../utils/stateStore.js';
+
+// Drive caps changes.watch channels at one week; we ask for one day and renew early
+const CHANNEL_TTL_MS = 24 * 60 * 60 * 1000;
+const RENEW_MARGIN_MS = 60 * 60 * 1000;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+export class DrivePushChannel {
+  constructor(driveWatcher) {
+    this.driveWatcher = driveWatcher;
+    this.address = process.env.DRIVE_WEBHOOK_URL;
+    this.token = process.env.DRIVE_WEBHOOK_TOKEN;
+    this.channel = null;
+    this.renewTimer = null;
+    this.store = new StateStore(`drive-channel-${driveWatcher.podcast.name}.json`);
+  }
+
+  // Notifications are accepted as soon as a token is configured, so they can be simulated locally
+  acceptsNotifications() {
+    return !!this.token;
+  }
+
+  async start() {
+    if (!this.address || !this.token) {
+      logger.info('Drive push notifications disabled (set DRIVE_WEBHOOK_URL and DRIVE_WEBHOOK_TOKEN), polling only');
+      return;
+    }
+
+    const saved = await this.store.load({ channel: null });
+
+    if (saved.channel && saved.channel.expiration - Date.now() > RENEW_MARGIN_MS) {
+      this.channel = saved.channel;
+      logger.info(`Reusing Drive push channel ${this.channel.id}`);
+      this.scheduleRenewal();
+      return;
+    }
+
+    await this.renew();
+  }
+
+  async renew() {
+    const previous = this.channel;
+    const drive = this.driveWatcher.drive;
+
+    try {
+      const { data: startToken } = await drive.changes.getStartPageToken({ supportsAllDrives: true });
+
+      const { data } = await drive.changes.watch({
+        pageToken: startToken.startPageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        requestBody: {
+          id: crypto.randomUUID(),
+          type: 'web_hook',
+          address: this.address,
+          token: this.token,
+          expiration: Date.now() + CHANNEL_TTL_MS
+        }
+      });
+
+      this.channel = {
+        id: data.id,
+        resourceId: data.resourceId,
+        expiration: Number(data.expiration)
+      };
+      await this.store.save({ channel: this.channel });
+
+      logger.info(`Drive push channel ${this.channel.id} open until ${new Date(this.channel.expiration).toISOString()}`);
+      this.scheduleRenewal();
+
+      if (previous) {
+        await this.stopChannel(previous);
+      }
+
+    } catch (error) {
+      logger.error('Failed to open Drive push channel, relying on polling until the next attempt:', error);
+      this.scheduleRenewal(RETRY_DELAY_MS);
+    }
+  }
+
+  scheduleRenewal(delay = this.channel.expiration - Date.now() - RENEW_MARGIN_MS) {
+    clearTimeout(this.renewTimer);
+    this.renewTimer = setTimeout(() => this.renew(), Math.max(delay, 0));
+    // Don't keep the process alive just for the renewal
+    this.renewTimer.unref();
+  }
+
+  async stopChannel(channel) {
+    try {
+      await this.driveWatcher.drive.channels.stop({
+        requestBody: { id: channel.id, resourceId: channel.resourceId }
+      });
+      logger.debug(`Stopped Drive push channel ${channel.id}`);
+    } catch (error) {
+      // It expires on its own anyway
+      logger.warn(`Failed to stop Drive push channel ${channel.id}:`, error);
+    }
+  }
+
+  ownsChannel(channelId) {
+    return !!this.channel && this.channel.id === channelId;
+  }
+
+  // Returns false when the notification doesn't carry our channel token
+  handleNotification(headers) {
+    const channelId = headers['x-goog-channel-id'];
+    const resourceState = headers['x-goog-resource-state'];
+
+    if (!this.isValidToken(headers['x-goog-channel-token'])) {
+      logger.warn(`Rejected Drive notification with invalid token (channel ${channelId})`);
+      return false;
+    }
+
+    if (this.channel && channelId !== this.channel.id) {
+      logger.debug(`Drive notification from channel ${channelId}, current channel is ${this.channel.id}`);
+    }
+
+    // "sync" only confirms a new channel, there is nothing to fetch
+    if (resourceState === 'sync') {
+      logger.debug(`Drive push channel ${channelId} synced`);
+      return true;
+    }
+
+    logger.info(`Drive notification received (${resourceState}), checking for changes`);
+    this.driveWatcher.checkForNewFiles().catch(error => {
+      logger.error('Check after Drive notification failed:', error);
+    });
+
+    return true;
+  }
+
+  isValidToken(token) {
+    if (!this.token || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.token);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  getStatus() {
+    return this.channel
+      ? { id: this.channel.id, expiration: new Date(this.channel.expiration).toISOString() }
+      : null;
+  }
+}
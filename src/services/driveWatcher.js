@@ -1,14 +1,30 @@
 import { google } from 'googleapis';
-import fs from 'fs';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
 import { logger } from '../utils/logger.js';
-import { ProcessingQueue } from './processingQueue.js';
+import { StateStore } from '../utils/stateStore.js';
+import { PARTIAL_SUFFIX } from '../utils/tempFiles.js';
+import { getFilenameGrammar } from '../utils/filenameGrammar.js';
+import { DrivePushChannel } from './drivePushChannel.js';
 
+// File metadata needed to detect, dedupe and download episodes
+const FILE_FIELDS = 'id,name,size,modifiedTime,mimeType,md5Checksum,parents,trashed';
+
+// Ingest source for a Google Drive folder (see sourceFactory.js for the source interface)
 export class DriveWatcher {
-  constructor() {
+  constructor(podcast, processingQueue) {
+    this.podcast = podcast;
     this.drive = null;
-    // Set lastCheckTime to 1 hour ago to process existing files on startup
-    this.lastCheckTime = new Date(Date.now() - 60 * 60 * 1000);
-    this.processingQueue = new ProcessingQueue(this);
+    this.folderId = podcast.source.folderId;
+    this.lastCheckTime = null;
+    this.checking = null;
+    this.recheckRequested = false;
+    // Persisted between restarts: { pageToken, lastCheckTime, handledFiles: { fileId: { name, fingerprint } } }
+    this.state = null;
+    this.store = new StateStore(`drive-watcher-${podcast.name}.json`);
+    this.processingQueue = processingQueue;
+    this.pushChannel = new DrivePushChannel(this);
     this.initializeAuth();
   }
 
@@ -38,93 +54,297 @@ export class DriveWatcher {
       return;
     }
 
+    // Overlapping checks (cron, manual trigger, push notifications) share one run so a page
+    // token is never consumed twice; a request arriving mid-run triggers one more pass
+    if (this.checking) {
+      this.recheckRequested = true;
+      return this.checking;
+    }
+
+    this.checking = (async () => {
+      do {
+        this.recheckRequested = false;
+        await this.pollChanges();
+      } while (this.recheckRequested);
+    })().finally(() => {
+      this.checking = null;
+    });
+
+    return this.checking;
+  }
+
+  async pollChanges() {
     try {
-      logger.debug('Checking for new files in Google Drive...');
-      
-      const response = await this.drive.files.list({
-        q: `'${process.env.GOOGLE_DRIVE_FOLDER_ID}' in parents and mimeType contains 'audio' and trashed=false`,
-        orderBy: 'modifiedTime desc',
-        fields: 'files(id,name,size,modifiedTime,mimeType)',
-        pageSize: 10
-      });
+      await this.loadState();
 
-      const files = response.data.files;
-      
-      if (!files || files.length === 0) {
-        logger.debug('No audio files found in watched folder');
+      if (!this.state.pageToken) {
+        await this.bootstrap();
         return;
       }
 
-      logger.info(`Found ${files.length} audio files`);
-
-      for (const file of files) {
-        const fileModified = new Date(file.modifiedTime);
-        
-        logger.debug(`File: ${file.name}, Modified: ${fileModified}, LastCheck: ${this.lastCheckTime}`);
-        
-        // Only process files modified after our last check
-        if (fileModified > this.lastCheckTime) {
-          logger.info(`New file detected: ${file.name}`);
-          
-          // Check if filename matches our pattern (cosmic-XX format)
-          if (this.matchesNamingPattern(file.name)) {
-            await this.processingQueue.addToQueue(file);
-          } else {
-            logger.warn(`File ${file.name} doesn't match naming pattern, skipping`);
-          }
+      logger.debug('Checking for changes in Google Drive...');
+
+      let pageToken = this.state.pageToken;
+      let changeCount = 0;
+
+      while (pageToken) {
+        const response = await this.drive.changes.list({
+          pageToken,
+          fields: `nextPageToken,newStartPageToken,changes(fileId,removed,file(${FILE_FIELDS}))`,
+          includeRemoved: true,
+          spaces: 'drive',
+          pageSize: 100,
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true
+        });
+
+        const changes = response.data.changes || [];
+        changeCount += changes.length;
+
+        for (const change of changes) {
+          await this.handleChange(change);
+        }
+
+        // nextPageToken means more pages now; newStartPageToken is where the next check starts
+        if (response.data.newStartPageToken) {
+          this.state.pageToken = response.data.newStartPageToken;
+          pageToken = null;
         } else {
-          logger.debug(`File ${file.name} skipped - not newer than last check`);
+          this.state.pageToken = response.data.nextPageToken;
+          pageToken = response.data.nextPageToken;
         }
+
+        await this.saveState();
       }
 
-      this.lastCheckTime = new Date();
+      logger.debug(`Processed ${changeCount} Drive change(s)`);
       
     } catch (error) {
+      const status = error.response?.status;
+      if (status === 404 || status === 410) {
+        // The saved page token is no longer valid; rescan the folder on the next check
+        logger.warn('Drive page token expired, the folder will be rescanned on the next check');
+        this.state.pageToken = null;
+        await this.saveState();
+        return;
+      }
       logger.error('Error checking for new files:', error);
     }
   }
 
-  matchesNamingPattern(filename) {
-    // Pattern for transcript files: xxx-nn-no-mix.ext (e.g., cosmic-06-no-mix.mp3)
-    const podcastName = process.env.PODCAST_NAME || 'podcast';
-    const pattern = new RegExp(`^${podcastName}-(\\d+)-no-mix\\.(mp3|flac|wav|m4a)$`, 'i');
-    return pattern.test(filename);
+  // First run without a page token: take a token, then scan the folder so nothing
+  // uploaded between the two calls is missed
+  async bootstrap() {
+    const lookbackMinutes = parseInt(process.env.DRIVE_BOOTSTRAP_LOOKBACK_MINUTES || '60');
+    const since = new Date(Date.now() - lookbackMinutes * 60 * 1000);
+
+    logger.info(`No Drive page token saved, scanning folder for files modified in the last ${lookbackMinutes} minutes`);
+
+    const { data } = await this.drive.changes.getStartPageToken({ supportsAllDrives: true });
+    const files = await this.listFiles();
+
+    logger.info(`Found ${files.length} audio files`);
+
+    for (const file of files) {
+      if (new Date(file.modifiedTime) > since) {
+        await this.handleFile(file);
+      } else if (this.matchesNamingPattern(file.name)) {
+        // Older episodes are remembered so later metadata edits don't reprocess them
+        this.markHandled(file);
+      }
+    }
+
+    this.state.pageToken = data.startPageToken;
+    await this.saveState();
   }
 
-  extractEpisodeNumber(filename) {
-    // Extract episode number from transcript filename
-    const podcastName = process.env.PODCAST_NAME || 'podcast';
-    const pattern = new RegExp(`^${podcastName}-(\\d+)-no-mix\\.(mp3|flac|wav|m4a)$`, 'i');
-    const match = filename.match(pattern);
-    return match ? parseInt(match[1]) : null;
+  async handleChange(change) {
+    const file = change.file;
+
+    if (change.removed || !file || file.trashed) {
+      await this.handleRemovedFile(change.fileId);
+      return;
+    }
+
+    if (!file.parents?.includes(this.folderId)) {
+      // Moved out of the watched folder
+      if (this.state.handledFiles[file.id]) {
+        await this.handleRemovedFile(file.id);
+      }
+      return;
+    }
+
+    if (!file.mimeType?.includes('audio')) {
+      return;
+    }
+
+    await this.handleFile(file);
   }
 
-  async downloadFile(fileId, outputPath) {
-    try {
-      const response = await this.drive.files.get({
-        fileId: fileId,
-        alt: 'media'
-      }, { responseType: 'stream' });
-
-      return new Promise((resolve, reject) => {
-        const dest = fs.createWriteStream(outputPath);
-        response.data
-          .on('end', () => {
-            logger.info(`File downloaded: ${outputPath}`);
-            resolve(outputPath);
-          })
-          .on('error', err => {
-            logger.error(`Download error: ${err}`);
-            reject(err);
-          })
-          .pipe(dest);
+  // Covers new uploads, new versions, renames and moves into the watched folder
+  async handleFile(file) {
+    if (!this.matchesNamingPattern(file.name)) {
+      logger.debug(`File ${file.name} doesn't match naming pattern, skipping`);
+      return;
+    }
+
+    const handled = this.state.handledFiles[file.id];
+
+    if (handled && handled.fingerprint === this.fingerprint(file)) {
+      if (handled.name !== file.name) {
+        logger.info(`File renamed from ${handled.name} to ${file.name}, content unchanged, not reprocessing`);
+        this.markHandled(file);
+      } else {
+        logger.debug(`File ${file.name} already handled, skipping`);
+      }
+      return;
+    }
+
+    logger.info(`New file detected: ${file.name}`);
+    await this.processingQueue.addToQueue(file, this.podcast.name);
+    this.markHandled(file);
+  }
+
+  async handleRemovedFile(fileId) {
+    const handled = this.state.handledFiles[fileId];
+
+    if (handled) {
+      logger.info(`File ${handled.name} was deleted, trashed or moved out of the watched folder`);
+      delete this.state.handledFiles[fileId];
+    }
+
+    await this.processingQueue.removeFile(fileId);
+  }
+
+  async listFiles() {
+    const files = [];
+    let pageToken;
+
+    do {
+      const response = await this.drive.files.list({
+        q: `'${this.folderId}' in parents and mimeType contains 'audio' and trashed=false`,
+        fields: `nextPageToken,files(${FILE_FIELDS})`,
+        pageSize: 100,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true
       });
+
+      files.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return files;
+  }
+
+  fingerprint(file) {
+    // md5Checksum changes with each new revision of the content
+    return file.md5Checksum || `${file.size}-${file.modifiedTime}`;
+  }
+
+  markHandled(file) {
+    this.state.handledFiles[file.id] = {
+      name: file.name,
+      fingerprint: this.fingerprint(file)
+    };
+  }
+
+  async loadState() {
+    if (!this.state) {
+      this.state = await this.store.load({ pageToken: null, lastCheckTime: null, handledFiles: {} });
+      this.lastCheckTime = this.state.lastCheckTime ? new Date(this.state.lastCheckTime) : null;
+    }
+  }
+
+  async saveState() {
+    this.lastCheckTime = new Date();
+    this.state.lastCheckTime = this.lastCheckTime.toISOString();
+    await this.store.save(this.state);
+  }
+
+  matchesNamingPattern(filename) {
+    return getFilenameGrammar(this.podcast.name).isVoiceTrack(filename);
+  }
+
+  // Streams into `<outputPath>.part`, picking up an interrupted download with a Range request,
+  // and only moves it into place once its size and MD5 match what Drive reports
+  async downloadFile(file, outputPath, { signal } = {}) {
+    const partialPath = `${outputPath}${PARTIAL_SUFFIX}`;
+
+    try {
+      if (await fs.pathExists(outputPath) && await this.verifyDownload(file, outputPath)) {
+        logger.info(`Already downloaded: ${outputPath}`);
+        return outputPath;
+      }
+
+      // Without a known size there is no telling how much is missing, so start over
+      const expectedSize = Number(file.size) || null;
+      let offset = 0;
+      if (expectedSize && await fs.pathExists(partialPath)) {
+        offset = (await fs.stat(partialPath)).size;
+        if (offset > expectedSize) {
+          offset = 0;
+        }
+      }
+
+      // A partial file that is already complete only needs verifying
+      if (offset === 0 || offset < expectedSize) {
+        const response = await this.drive.files.get({
+          fileId: file.id,
+          alt: 'media',
+          supportsAllDrives: true
+        }, {
+          responseType: 'stream',
+          headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+          signal
+        });
+
+        // 206 means Drive honoured the range, a 200 is the whole file again
+        const resuming = offset > 0 && response.status === 206;
+        if (resuming) {
+          logger.info(`Resuming download of ${file.name} at ${offset} of ${expectedSize} bytes`);
+        }
+
+        await pipeline(response.data, fs.createWriteStream(partialPath, { flags: resuming ? 'a' : 'w' }), { signal });
+      }
+
+      if (!await this.verifyDownload(file, partialPath)) {
+        await fs.remove(partialPath);
+        // Start from scratch on the next attempt
+        const error = new Error(`Download of ${file.name} doesn't match the size or checksum reported by Drive`);
+        error.transient = true;
+        throw error;
+      }
+
+      await fs.move(partialPath, outputPath, { overwrite: true });
+      logger.info(`File downloaded: ${outputPath}`);
+      return outputPath;
+
     } catch (error) {
-      logger.error(`Failed to download file ${fileId}:`, error);
+      // Whatever reached the .part file is kept for the next attempt
+      logger.error(`Failed to download file ${file.id}:`, error);
       throw error;
     }
   }
 
+  async verifyDownload(file, filePath) {
+    const { size } = await fs.stat(filePath);
+    if (file.size !== undefined && size !== Number(file.size)) {
+      return false;
+    }
+
+    // Only binary files have an md5Checksum
+    if (!file.md5Checksum) {
+      return true;
+    }
+
+    const hash = crypto.createHash('md5');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex') === file.md5Checksum;
+  }
+
   getLastCheckTime() {
     return this.lastCheckTime;
   }
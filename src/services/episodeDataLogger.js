@@ -1,43 +1,52 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { formatTranscript } from './speakerMapper.js';
+import { TranscriptExporter } from './transcriptExporter.js';
+import { episodeCode, describeEpisode, parseEpisode } from '../utils/episodeRef.js';
 
 export class EpisodeDataLogger {
   constructor() {
     this.baseDir = './generated';
+    this.transcriptExporter = new TranscriptExporter();
   }
 
-  async initializeEpisode(episodeNumber, metadata = {}) {
+  async initializeEpisode(episode, metadata = {}) {
     try {
-      const episodeDir = this.getEpisodeDir(episodeNumber);
+      const episodeDir = this.getEpisodeDir(episode);
       await fs.ensureDir(episodeDir);
       
       const initData = {
-        episodeNumber,
+        podcast: episode.podcast,
+        episodeNumber: episode.number,
         startedAt: new Date().toISOString(),
         status: 'processing',
         steps: {
+          pairing: false,
           download: false,
           transcription: false,
+          analysis: false,
           extraction: false,
+          enrichment: false,
+          verification: false,
           upload: false,
           repository: false
         },
         ...metadata
       };
       
-      await this.saveMetadata(episodeNumber, initData);
-      logger.debug(`Initialized episode ${episodeNumber} data logging`);
+      await this.saveMetadata(episode, initData);
+      logger.debug(`Initialized data logging of ${describeEpisode(episode)}`);
       
       return episodeDir;
     } catch (error) {
-      logger.warn(`Failed to initialize episode ${episodeNumber} logging:`, error);
+      logger.warn(`Failed to initialize the logging of ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async logRawTranscript(episodeNumber, transcript) {
+  async logRawTranscript(episode, transcript) {
     try {
-      const episodeDir = this.getEpisodeDir(episodeNumber);
+      const episodeDir = this.getEpisodeDir(episode);
       
       // Save complete transcript object
       await fs.writeFile(
@@ -45,17 +54,24 @@ export class EpisodeDataLogger {
         JSON.stringify(transcript, null, 2)
       );
       
-      // Save plain text transcript
+      // Save plain text transcript, with speaker names when they are known
       await fs.writeFile(
         path.join(episodeDir, 'transcript.txt'),
-        transcript.text || 'No text found'
+        formatTranscript(transcript) || 'No text found'
       );
       
+      // Timed exports (SRT, WebVTT, Podcasting 2.0 JSON), the same files that get published
+      for (const file of this.transcriptExporter.render(transcript) || []) {
+        await fs.writeFile(path.join(episodeDir, file.filename), file.content);
+      }
+      
       // Save transcript metadata
       const transcriptMeta = {
+        provider: transcript.provider,
         confidence: transcript.confidence,
         duration: transcript.duration,
         speakerCount: transcript.speakers?.length || 0,
+        speakerNames: transcript.speakerNames || {},
         textLength: transcript.text?.length || 0,
         timestampedAt: new Date().toISOString()
       };
@@ -65,17 +81,17 @@ export class EpisodeDataLogger {
         JSON.stringify(transcriptMeta, null, 2)
       );
       
-      await this.updateStep(episodeNumber, 'transcription', true);
-      logger.debug(`Logged transcript for episode ${episodeNumber}`);
+      await this.updateStep(episode, 'transcription', true);
+      logger.debug(`Logged transcript for ${describeEpisode(episode)}`);
       
     } catch (error) {
-      logger.warn(`Failed to log transcript for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to log transcript for ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async logExtractedContent(episodeNumber, extractedContent) {
+  async logExtractedContent(episode, extractedContent) {
     try {
-      const episodeDir = this.getEpisodeDir(episodeNumber);
+      const episodeDir = this.getEpisodeDir(episode);
       
       // Save complete extracted content
       await fs.writeFile(
@@ -106,17 +122,17 @@ export class EpisodeDataLogger {
         JSON.stringify(extractionSummary, null, 2)
       );
       
-      await this.updateStep(episodeNumber, 'extraction', true);
-      logger.debug(`Logged extracted content for episode ${episodeNumber}`);
+      await this.updateStep(episode, 'extraction', true);
+      logger.debug(`Logged extracted content for ${describeEpisode(episode)}`);
       
     } catch (error) {
-      logger.warn(`Failed to log extracted content for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to log extracted content for ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async logUploadResults(episodeNumber, uploadedUrls) {
+  async logUploadResults(episode, uploadedUrls) {
     try {
-      const episodeDir = this.getEpisodeDir(episodeNumber);
+      const episodeDir = this.getEpisodeDir(episode);
       
       const uploadData = {
         ...uploadedUrls,
@@ -128,17 +144,17 @@ export class EpisodeDataLogger {
         JSON.stringify(uploadData, null, 2)
       );
       
-      await this.updateStep(episodeNumber, 'upload', true);
-      logger.debug(`Logged upload results for episode ${episodeNumber}`);
+      await this.updateStep(episode, 'upload', true);
+      logger.debug(`Logged upload results for ${describeEpisode(episode)}`);
       
     } catch (error) {
-      logger.warn(`Failed to log upload results for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to log upload results for ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async logRepositoryUpdate(episodeNumber, repoData) {
+  async logRepositoryUpdate(episode, repoData) {
     try {
-      const episodeDir = this.getEpisodeDir(episodeNumber);
+      const episodeDir = this.getEpisodeDir(episode);
       
       const repoUpdateData = {
         ...repoData,
@@ -150,17 +166,17 @@ export class EpisodeDataLogger {
         JSON.stringify(repoUpdateData, null, 2)
       );
       
-      await this.updateStep(episodeNumber, 'repository', true);
-      logger.debug(`Logged repository update for episode ${episodeNumber}`);
+      await this.updateStep(episode, 'repository', true);
+      logger.debug(`Logged repository update for ${describeEpisode(episode)}`);
       
     } catch (error) {
-      logger.warn(`Failed to log repository update for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to log repository update for ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async finalizeEpisode(episodeNumber, status = 'completed', error = null) {
+  async finalizeEpisode(episode, status = 'completed', error = null) {
     try {
-      const metadata = await this.getMetadata(episodeNumber);
+      const metadata = await this.getMetadata(episode);
       
       metadata.status = status;
       metadata.completedAt = new Date().toISOString();
@@ -170,35 +186,89 @@ export class EpisodeDataLogger {
         metadata.error = error;
       }
       
-      await this.saveMetadata(episodeNumber, metadata);
+      await this.saveMetadata(episode, metadata);
       
       // Create a final summary README
-      await this.createReadme(episodeNumber, metadata);
+      await this.createReadme(episode, metadata);
       
-      logger.info(`Finalized episode ${episodeNumber} data logging (${status})`);
+      logger.info(`Finalized data logging of ${describeEpisode(episode)} (${status})`);
       
     } catch (error) {
-      logger.warn(`Failed to finalize episode ${episodeNumber} logging:`, error);
+      logger.warn(`Failed to finalize the logging of ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async updateStep(episodeNumber, stepName, completed) {
+  async updateStep(episode, stepName, completed) {
     try {
-      const metadata = await this.getMetadata(episodeNumber);
+      const metadata = await this.getMetadata(episode);
       if (metadata && metadata.steps) {
         metadata.steps[stepName] = completed;
-        await this.saveMetadata(episodeNumber, metadata);
+        await this.saveMetadata(episode, metadata);
       }
     } catch (error) {
-      logger.warn(`Failed to update step ${stepName} for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to update step ${stepName} for ${describeEpisode(episode)}:`, error);
     }
   }
 
-  async createReadme(episodeNumber, metadata) {
+  // Keeps retry counts and the last error per step in processing-metadata.json
+  async logStepError(episode, stepName, { attempt, error, classification, willRetry }) {
     try {
-      const episodeDir = this.getEpisodeDir(episodeNumber);
+      const metadata = await this.getMetadata(episode);
+      if (metadata) {
+        metadata.retries = metadata.retries || {};
+        metadata.retries[stepName] = {
+          attempts: attempt,
+          lastError: error,
+          classification,
+          willRetry,
+          lastErrorAt: new Date().toISOString()
+        };
+        await this.saveMetadata(episode, metadata);
+      }
+    } catch (logError) {
+      logger.warn(`Failed to log ${stepName} error for ${describeEpisode(episode)}:`, logError);
+    }
+  }
+
+  async updateMetadata(episode, changes) {
+    try {
+      const metadata = await this.getMetadata(episode);
+      if (metadata) {
+        await this.saveMetadata(episode, { ...metadata, ...changes });
+      }
+    } catch (error) {
+      logger.warn(`Failed to update metadata for ${describeEpisode(episode)}:`, error);
+    }
+  }
+
+  // Read back a previously logged file (e.g. raw-transcript.json) so a resumed job can skip its step
+  async loadArtifact(episode, filename) {
+    try {
+      const artifactPath = path.join(this.getEpisodeDir(episode), filename);
+      if (await fs.pathExists(artifactPath)) {
+        return await fs.readJson(artifactPath);
+      }
+    } catch (error) {
+      logger.warn(`Failed to load ${filename} for ${describeEpisode(episode)}:`, error);
+    }
+    return null;
+  }
+
+  async saveArtifact(episode, filename, data) {
+    try {
+      const episodeDir = this.getEpisodeDir(episode);
+      await fs.ensureDir(episodeDir);
+      await fs.writeFile(path.join(episodeDir, filename), JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.warn(`Failed to save ${filename} for ${describeEpisode(episode)}:`, error);
+    }
+  }
+
+  async createReadme(episode, metadata) {
+    try {
+      const episodeDir = this.getEpisodeDir(episode);
       
-      const readmeContent = `# Episode ${episodeNumber} - Processing Data
+      const readmeContent = `# Episode ${episode.number} of ${episode.podcast} - Processing Data
 
 ## Status: ${metadata.status}
 
@@ -207,21 +277,33 @@ export class EpisodeDataLogger {
 **Processing Time:** ${metadata.processingTime ? Math.round(metadata.processingTime / 1000) + 's' : 'N/A'}
 
 ## Processing Steps:
-${Object.entries(metadata.steps).map(([step, completed]) => 
-  `- ${completed ? '✅' : '❌'} ${step}`
-).join('\n')}
+${Object.entries(metadata.steps).map(([step, completed]) => {
+  const retries = metadata.retries?.[step];
+  const retryNote = retries ? ` (${retries.attempts} attempt(s), last error: ${retries.lastError})` : '';
+  return `- ${completed ? '✅' : '❌'} ${step}${retryNote}`;
+}).join('\n')}
 
 ## Files Generated:
 
 ### Raw Data:
-- **raw-transcript.json** - Complete AssemblyAI response
-- **transcript.txt** - Plain text transcript
+- **raw-transcript.json** - Complete transcription result (AssemblyAI or Whisper)
+- **transcript.txt** - Plain text transcript, with speaker names
+- **transcript.srt / transcript.vtt** - Subtitles, with speaker names
+- **transcript.json** - Podcasting 2.0 transcript
 - **transcript-metadata.json** - Transcript stats and metadata
+- **speaker-map.json** - Manual speaker name overrides (if any)
+- **vocabulary.json** - Boosted terms sent for transcription
+- **vocabulary-report.json** - Boosted terms found in the transcript
+- **timeline.json** - Talk, music and guest-mix segments of the full mix
 
 ### Processed Content:
 - **extracted-content.json** - Claude-extracted episode information
 - **extraction-summary.json** - Summary of extracted data
+- **catalog-matches.json** - Catalog matches of the tracks, applied or left for review
+- **link-verification.json** - Track links checked, replaced or dropped
 - **generated-episode.md** - Generated markdown for Astropod
+- **chapters.json** - Podcasting 2.0 chapters
+- **chapter-titles.json** - Edited chapter titles (if any)
 
 ### Upload & Deployment:
 - **upload-results.json** - Cloudflare R2 upload URLs
@@ -238,32 +320,55 @@ Generated by CastSmith automated podcast workflow
       await fs.writeFile(path.join(episodeDir, 'README.md'), readmeContent);
       
     } catch (error) {
-      logger.warn(`Failed to create README for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to create README for ${describeEpisode(episode)}:`, error);
     }
   }
 
-  getEpisodeDir(episodeNumber) {
-    return path.join(this.baseDir, `episode-${episodeNumber.toString().padStart(2, '0')}`);
+  // generated/<podcast>/episode-07
+  getEpisodeDir(episode) {
+    return path.join(this.baseDir, episode.podcast, `episode-${episodeCode(episode)}`);
+  }
+
+  // Every episode with a data directory, as { podcast, number }
+  async listEpisodes() {
+    if (!await fs.pathExists(this.baseDir)) {
+      return [];
+    }
+
+    const episodes = [];
+    for (const podcast of await fs.readdir(this.baseDir)) {
+      const podcastDir = path.join(this.baseDir, podcast);
+      if (podcast.startsWith('.') || !(await fs.stat(podcastDir)).isDirectory()) {
+        continue;
+      }
+      for (const dir of await fs.readdir(podcastDir)) {
+        const episode = dir.startsWith('episode-') ? parseEpisode(podcast, dir.slice('episode-'.length)) : null;
+        if (episode) {
+          episodes.push(episode);
+        }
+      }
+    }
+    return episodes;
   }
 
-  async getMetadata(episodeNumber) {
+  async getMetadata(episode) {
     try {
-      const metadataPath = path.join(this.getEpisodeDir(episodeNumber), 'processing-metadata.json');
+      const metadataPath = path.join(this.getEpisodeDir(episode), 'processing-metadata.json');
       if (await fs.pathExists(metadataPath)) {
         return await fs.readJson(metadataPath);
       }
     } catch (error) {
-      logger.debug(`No metadata found for episode ${episodeNumber}`);
+      logger.debug(`No metadata found for ${describeEpisode(episode)}`);
     }
     return null;
   }
 
-  async saveMetadata(episodeNumber, metadata) {
+  async saveMetadata(episode, metadata) {
     try {
-      const metadataPath = path.join(this.getEpisodeDir(episodeNumber), 'processing-metadata.json');
+      const metadataPath = path.join(this.getEpisodeDir(episode), 'processing-metadata.json');
       await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
     } catch (error) {
-      logger.warn(`Failed to save metadata for episode ${episodeNumber}:`, error);
+      logger.warn(`Failed to save metadata for ${describeEpisode(episode)}:`, error);
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Shape of Claude's extraction answer, checked before anything is generated from it.
+// A small subset of JSON Schema: type (one or a list), required, properties, items, minLength, pattern.
+// Track links must be URLs here; schemasFor() also accepts the profile's placeholder for unsure links.
+const nullableString = { type: ['string', 'null'] };
+
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description', 'openingMonologue', 'tracks', 'events', 'guests'],
+  properties: {
+    // Quoted in the YAML frontmatter: no double quotes or line breaks
+    title: { type: 'string', minLength: 3, pattern: '^[^"\\n]+$' },
+    description: { type: 'string', minLength: 10 },
+    openingMonologue: nullableString,
+    tracks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'artist'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          artist: { type: 'string', minLength: 1 },
+          label: nullableString,
+          year: { type: ['string', 'number', 'null'] },
+          genre: nullableString,
+          youtubeLink: { type: ['string', 'null'], pattern: '^https?://' }
+        }
+      }
+    },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          location: nullableString,
+          type: nullableString
+        }
+      }
+    },
+    guests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          project: nullableString,
+          links: { type: ['array', 'null'], items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+// Schemas for a profile's sections (see PodcastProfile): what the single request, each window
+// of a long transcript (lists only) and the summary of the windows (texts only) must return.
+// linkToCheck is the profile's label the model writes instead of a track link it isn't sure of.
+export function schemasFor(sections, linkToCheck = null) {
+  const texts = ['title', 'description', ...sections.filter(section => section === 'openingMonologue')];
+  const lists = sections.filter(section => EXTRACTION_SCHEMA.properties[section]?.type === 'array');
+  const properties = linkToCheck ? withLinkPlaceholder(linkToCheck) : EXTRACTION_SCHEMA.properties;
+
+  return {
+    extraction: pick([...texts, ...lists], properties),
+    window: pick(lists, properties),
+    summary: pick(texts, properties)
+  };
+}
+
+function pick(keys, properties) {
+  return {
+    type: 'object',
+    required: keys,
+    properties: Object.fromEntries(keys.map(key => [key, properties[key]]))
+  };
+}
+
+// The extraction properties, with track links being a URL or exactly the placeholder
+function withLinkPlaceholder(placeholder) {
+  const tracks = EXTRACTION_SCHEMA.properties.tracks;
+  const escaped = placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    ...EXTRACTION_SCHEMA.properties,
+    tracks: {
+      ...tracks,
+      items: {
+        ...tracks.items,
+        properties: {
+          ...tracks.items.properties,
+          youtubeLink: { type: ['string', 'null'], pattern: `^(https?://|${escaped}$)` }
+        }
+      }
+    }
+  };
+}
+
+// Every problem found, as "tracks[2].artist: expected string, got null"; empty when the value is valid
+export function validate(value, schema = EXTRACTION_SCHEMA, path = '') {
+  const where = path || '(root)';
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+
+  if (types.length > 0 && !types.includes(actual)) {
+    return [`${where}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (actual === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${where}: must be at least ${schema.minLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where}: doesn't match ${schema.pattern}`);
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,34 @@
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+
+// Catalog adapter answering from a local JSON file, for development and tests without network
+// (see trackEnricher.js for the adapter interface). The file looks like:
+//   { "recordings": [{ "id": "...", "artist": "...", "title": "...", "release": "...",
+//                      "label": "...", "year": "1995", "isrc": "...", "genre": "..." }] }
+// Every recording is a candidate, TrackEnricher keeps the one that matches best.
+export class FixtureCatalog {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.file = options.file || process.env.CATALOG_FIXTURE_FILE;
+    this.recordings = [];
+
+    if (this.file && fs.pathExistsSync(this.file)) {
+      this.recordings = fs.readJsonSync(this.file).recordings || [];
+    } else {
+      logger.warn(`No CATALOG_FIXTURE_FILE found${this.file ? ` at ${this.file}` : ''}, no track will be matched`);
+    }
+  }
+
+  async search() {
+    return this.recordings.map(recording => ({
+      id: recording.id || `${recording.artist} - ${recording.title}`,
+      title: recording.title,
+      artist: recording.artist,
+      release: recording.release || null,
+      year: recording.year ? String(recording.year) : null,
+      label: recording.label || null,
+      isrc: recording.isrc || null,
+      genre: recording.genre || null
+    }));
+  }
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { logger } from '../utils/logger.js';
+import { StateStore } from '../utils/stateStore.js';
+import { getFilenameGrammar } from '../utils/filenameGrammar.js';
+
+const AUDIO_EXTENSIONS = /\.(mp3|flac|wav|m4a|aac|ogg)$/i;
+
+// Files modified more recently than this are probably still being copied
+const SETTLE_MS = 30 * 1000;
+
+// Ingest source for a local or NAS folder (see sourceFactory.js for the source interface)
+export class FolderWatcher {
+  constructor(podcast, processingQueue) {
+    this.podcast = podcast;
+    this.folderPath = podcast.source.path;
+    this.processingQueue = processingQueue;
+    this.lastCheckTime = null;
+    this.checking = null;
+    // Persisted between restarts: { lastCheckTime, handledFiles: { fileId: { name, fingerprint } } }
+    this.state = null;
+    this.store = new StateStore(`folder-watcher-${podcast.name}.json`);
+
+    if (!this.folderPath) {
+      throw new Error(`No folder path configured for podcast ${podcast.name}`);
+    }
+  }
+
+  async checkForNewFiles() {
+    if (!this.checking) {
+      this.checking = this.scanFolder().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async scanFolder() {
+    try {
+      logger.debug(`Checking for new files in ${this.folderPath}...`);
+
+      await this.loadState();
+      const bootstrapping = !this.state.lastCheckTime;
+
+      const files = await this.listFiles();
+      const lookbackMinutes = parseInt(process.env.DRIVE_BOOTSTRAP_LOOKBACK_MINUTES || '60');
+      const since = new Date(Date.now() - lookbackMinutes * 60 * 1000);
+
+      for (const file of files) {
+        if (!this.matchesNamingPattern(file.name)) {
+          continue;
+        }
+
+        const handled = this.state.handledFiles[file.id];
+        if (handled && handled.fingerprint === this.fingerprint(file)) {
+          continue;
+        }
+
+        if (Date.now() - new Date(file.modifiedTime) < SETTLE_MS) {
+          logger.debug(`File ${file.name} is still being written, will retry on next check`);
+          continue;
+        }
+
+        if (bootstrapping && new Date(file.modifiedTime) <= since) {
+          // Same rule as the Drive bootstrap: the existing back catalogue is not reprocessed
+          this.markHandled(file);
+          continue;
+        }
+
+        logger.info(`New file detected: ${file.name}`);
+        await this.processingQueue.addToQueue(file, this.podcast.name);
+        this.markHandled(file);
+      }
+
+      // Files that disappeared from the folder
+      const currentIds = new Set(files.map(file => file.id));
+      for (const [fileId, handled] of Object.entries(this.state.handledFiles)) {
+        if (!currentIds.has(fileId)) {
+          logger.info(`File ${handled.name} was removed from ${this.folderPath}`);
+          delete this.state.handledFiles[fileId];
+          await this.processingQueue.removeFile(fileId);
+        }
+      }
+
+      await this.saveState();
+
+    } catch (error) {
+      logger.error(`Error checking ${this.folderPath} for new files:`, error);
+    }
+  }
+
+  async listFiles() {
+    const entries = await fs.readdir(this.folderPath, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !AUDIO_EXTENSIONS.test(entry.name)) {
+        continue;
+      }
+
+      const filePath = path.join(this.folderPath, entry.name);
+      const stats = await fs.stat(filePath);
+
+      files.push({
+        // Stable, filename-safe id derived from the path
+        id: crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex').slice(0, 16),
+        name: entry.name,
+        size: stats.size,
+        modifiedTime: stats.mtime.toISOString(),
+        path: filePath
+      });
+    }
+
+    return files;
+  }
+
+  matchesNamingPattern(filename) {
+    return getFilenameGrammar(this.podcast.name).isVoiceTrack(filename);
+  }
+
+  // Streamed rather than fs.copy'd so a cancelled job stops copying a large file
+  async downloadFile(file, outputPath, { signal } = {}) {
+    try {
+      await pipeline(fs.createReadStream(file.path), fs.createWriteStream(outputPath), { signal });
+      logger.info(`File copied: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      logger.error(`Failed to copy file ${file.path}:`, error);
+      throw error;
+    }
+  }
+
+  fingerprint(file) {
+    return `${file.size}-${file.modifiedTime}`;
+  }
+
+  markHandled(file) {
+    this.state.handledFiles[file.id] = {
+      name: file.name,
+      fingerprint: this.fingerprint(file)
+    };
+  }
+
+  async loadState() {
+    if (!this.state) {
+      this.state = await this.store.load({ lastCheckTime: null, handledFiles: {} });
+      this.lastCheckTime = this.state.lastCheckTime ? new Date(this.state.lastCheckTime) : null;
+    }
+  }
+
+  async saveState() {
+    this.lastCheckTime = new Date();
+    this.state.lastCheckTime = this.lastCheckTime.toISOString();
+    await this.store.save(this.state);
+  }
+
+  getLastCheckTime() {
+    return this.lastCheckTime;
+  }
+}
@@ -0,0 +1,112 @@
+import { logger } from '../utils/logger.js';
+import { normalize, containsWord } from '../utils/textMatch.js';
+import { OEmbedResolver } from './oEmbedResolver.js';
+import { YouTubeResolver } from './youTubeResolver.js';
+import { StubLinkResolver } from './stubLinkResolver.js';
+
+// A link resolver implements:
+//   name                          recorded with each verification
+//   lookup(url, { signal })       resolves to { url, title, author } for a playable link, null for a dead,
+//                                 private or unsupported one; throws on network and API errors
+//   search(query, { signal })     optional, resolves to [{ url, title, author }] best match first
+const RESOLVERS = {
+  oembed: OEmbedResolver,
+  youtube: YouTubeResolver,
+  stub: StubLinkResolver
+};
+
+// The YouTube Data API can also search for a replacement, oEmbed only checks links
+const DEFAULT_RESOLVER = process.env.YOUTUBE_API_KEY ? 'youtube' : 'oembed';
+
+// Claude can't browse, so the links it writes are often made up: each one is looked up and
+// kept only when the video's title (or channel) names both the artist and the track.
+// Others are replaced with a matching search result when the resolver can search, or dropped
+// (the page then shows "link to check"), the original being kept as originalLink.
+export class LinkVerifier {
+  constructor(resolverName = process.env.LINK_RESOLVER || DEFAULT_RESOLVER) {
+    const Resolver = RESOLVERS[resolverName];
+    if (!Resolver) {
+      throw new Error(`Unknown link resolver "${resolverName}" (expected one of: ${Object.keys(RESOLVERS).join(', ')})`);
+    }
+    this.resolver = new Resolver();
+  }
+
+  // Resolves to { tracks, report }: copies of the tracks with their links checked or replaced
+  // (linkStatus, originalLink), and the report saved as link-verification.json
+  async verify(tracks, { signal } = {}) {
+    const results = [];
+    for (const track of tracks) {
+      signal?.throwIfAborted();
+      results.push(await this.verifyTrack(track, signal));
+    }
+    return this.withResults(tracks, results);
+  }
+
+  // What verify() resolves to when the resolver can't be reached: no link is published unchecked,
+  // each one is kept as originalLink for someone to check
+  leaveUnverified(tracks, reason) {
+    const results = tracks.map(track => ({
+      artist: track.artist,
+      title: track.title,
+      originalLink: isUrl(track.youtubeLink) ? track.youtubeLink : null,
+      reason,
+      status: 'unverified',
+      link: null
+    }));
+    return this.withResults(tracks, results);
+  }
+
+  withResults(tracks, results) {
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = { verified: count('verified'), replaced: count('replaced'), unverified: count('unverified') };
+    logger.info(`Links: ${summary.verified} verified, ${summary.replaced} replaced, ${summary.unverified} unverified (${this.resolver.name})`);
+
+    return {
+      tracks: tracks.map((track, index) => withResult(track, results[index])),
+      report: { resolver: this.resolver.name, summary, tracks: results, verifiedAt: new Date().toISOString() }
+    };
+  }
+
+  async verifyTrack(track, signal) {
+    const claimed = isUrl(track.youtubeLink) ? track.youtubeLink : null;
+    const result = { artist: track.artist, title: track.title, originalLink: claimed };
+
+    if (claimed) {
+      const found = await this.resolver.lookup(claimed, { signal });
+      if (found && this.matches(track, found)) {
+        return { ...result, status: 'verified', link: found.url, foundTitle: found.title };
+      }
+      result.reason = found ? `"${found.title}" doesn't match the track` : 'dead or unsupported link';
+    } else {
+      result.reason = 'no link';
+    }
+
+    if (this.resolver.search) {
+      const candidates = await this.resolver.search(`${track.artist} ${track.title}`, { signal });
+      const replacement = candidates.find(candidate => this.matches(track, candidate));
+      if (replacement) {
+        return { ...result, status: 'replaced', link: replacement.url, foundTitle: replacement.title };
+      }
+    }
+
+    return { ...result, status: 'unverified', link: null };
+  }
+
+  // Both the artist and the track title appear in the video title or channel name
+  matches(track, found) {
+    const text = normalize(`${found.title || ''} ${found.author || ''}`);
+    return [track.artist, track.title].every(term => term && containsWord(text, normalize(term)));
+  }
+}
+
+function withResult(track, result) {
+  const updated = { ...track, youtubeLink: result.link, linkStatus: result.status };
+  if (result.originalLink && result.originalLink !== result.link) {
+    updated.originalLink = result.originalLink;
+  }
+  return updated;
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//.test(value);
+}
@@ -0,0 +1,52 @@
+import { AnthropicLlm } from './anthropicLlm.js';
+import { OpenAiCompatibleLlm } from './openAiCompatibleLlm.js';
+
+// An LLM provider implements:
+//   name                             recorded with each extraction
+//   label                            who runs the model, as shown in the page disclaimer
+//   defaultModel                     used when LLM_MODEL isn't set, null when a model must be picked
+//   settings                         provider options that change the result (e.g. the endpoint), recorded too
+//   complete(messages, { model, temperature, maxTokens })
+//                                    resolves to { text, truncated } for [{ role: 'user' | 'assistant', content }],
+//                                    truncated being true when the answer stopped at maxTokens
+const PROVIDERS = {
+  anthropic: AnthropicLlm,
+  openai: OpenAiCompatibleLlm
+};
+
+// The provider and the model settings, shared by every extraction request
+export class LlmClient {
+  constructor(providerName = process.env.LLM_PROVIDER || 'anthropic') {
+    const Provider = PROVIDERS[providerName];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider "${providerName}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    this.provider = new Provider();
+
+    const model = process.env.LLM_MODEL || this.provider.defaultModel;
+    if (!model) {
+      throw new Error(`The ${this.provider.name} LLM provider needs LLM_MODEL`);
+    }
+
+    // Recorded in extracted-content.json and part of the extraction cache key
+    this.settings = {
+      provider: this.provider.name,
+      model,
+      temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.1'),
+      maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '8000'),
+      ...this.provider.settings
+    };
+  }
+
+  get label() {
+    return this.provider.label;
+  }
+
+  get maxTokens() {
+    return this.settings.maxTokens;
+  }
+
+  complete(messages) {
+    return this.provider.complete(messages, this.settings);
+  }
+}
@@ -0,0 +1,58 @@
+import { normalize, containsWord } from '../utils/textMatch.js';
+
+// Mentions kept per track, event or guest: enough to find where it is discussed
+const MAX_MENTIONS = 3;
+const QUOTE_CHARS = 200;
+
+// Finds the utterances where each extracted track, event and guest is talked about.
+// A mention is { start, end (ms), speaker, quote }, the quote being the sentence that names it.
+export class MentionLocator {
+  constructor(transcript) {
+    this.speakerNames = transcript.speakerNames || {};
+    this.utterances = (transcript.timestamps || []).map(utterance => ({
+      ...utterance,
+      normalized: normalize(utterance.text || '')
+    }));
+  }
+
+  // Each argument is a list of terms; the first list found anywhere in the transcript wins,
+  // so a track is placed by its title and only falls back to its artist
+  find(...tiers) {
+    for (const terms of tiers) {
+      const wanted = terms.filter(term => term && term.length >= 3).map(normalize);
+      if (wanted.length === 0) {
+        continue;
+      }
+
+      const matches = this.utterances.filter(utterance => wanted.some(term => containsWord(utterance.normalized, term)));
+      if (matches.length > 0) {
+        return matches.slice(0, MAX_MENTIONS).map(utterance => this.mention(utterance, wanted));
+      }
+    }
+    return [];
+  }
+
+  // The content with `mentions` on every track, event and guest (an empty list when never named)
+  annotate(content) {
+    return {
+      ...content,
+      tracks: (content.tracks || []).map(track => ({ ...track, mentions: this.find([track.title], [track.artist]) })),
+      events: (content.events || []).map(event => ({ ...event, mentions: this.find([event.name]) })),
+      guests: (content.guests || []).map(guest => ({ ...guest, mentions: this.find([guest.name], [guest.project]) }))
+    };
+  }
+
+  mention(utterance, terms) {
+    const text = utterance.text || '';
+    const sentence = text.split(/(?<=[.!?…])\s+/)
+      .find(candidate => terms.some(term => containsWord(normalize(candidate), term))) || text;
+    const quote = sentence.trim();
+
+    return {
+      start: utterance.start,
+      end: utterance.end,
+      speaker: this.speakerNames[utterance.speaker] || utterance.speaker,
+      quote: quote.length > QUOTE_CHARS ? `${quote.slice(0, QUOTE_CHARS - 1)}…` : quote
+    };
+  }
+}
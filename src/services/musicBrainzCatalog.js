@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { StageLimiter } from '../utils/stageLimiter.js';
+
+const API_URL = 'https://musicbrainz.org/ws/2';
+const REQUEST_TIMEOUT_MS = 15000;
+const SEARCH_RESULTS = 5;
+
+// MusicBrainz asks for at most one request per second, and a User-Agent it can contact
+const MIN_INTERVAL_MS = 1100;
+const USER_AGENT = `CastSmith/1.0.0 ( ${process.env.MUSICBRAINZ_CONTACT || 'https://github.com/gregberger/castsmith'} )`;
+
+// Catalog adapter searching MusicBrainz recordings (see trackEnricher.js for the adapter interface).
+// The search finds candidates; the best one is then looked up for its ISRCs, genres and label.
+export class MusicBrainzCatalog {
+  constructor() {
+    this.name = 'musicbrainz';
+    this.limiter = new StageLimiter({ concurrency: 1, minIntervalMs: MIN_INTERVAL_MS });
+  }
+
+  async search({ artist, title }, { signal } = {}) {
+    const data = await this.request('recording', {
+      query: `recording:"${escapeQuery(title)}" AND artist:"${escapeQuery(artist)}"`,
+      limit: SEARCH_RESULTS
+    }, signal);
+
+    return (data.recordings || []).map(recording => {
+      const release = earliestRelease(recording.releases);
+      return {
+        id: recording.id,
+        title: recording.title,
+        artist: (recording['artist-credit'] || []).map(credit => `${credit.name}${credit.joinphrase || ''}`).join(''),
+        release: release?.title || null,
+        releaseId: release?.id || null,
+        year: yearOf(recording['first-release-date'] || release?.date),
+        label: null,
+        isrc: recording.isrcs?.[0] || null,
+        genre: null
+      };
+    });
+  }
+
+  async details(match, { signal } = {}) {
+    const recording = await this.request(`recording/${match.id}`, { inc: 'isrcs+genres' }, signal);
+    const release = match.releaseId
+      ? await this.request(`release/${match.releaseId}`, { inc: 'labels' }, signal)
+      : null;
+    const genre = [...(recording.genres || [])].sort((a, b) => b.count - a.count)[0]?.name || null;
+
+    return {
+      ...match,
+      isrc: recording.isrcs?.[0] || match.isrc,
+      genre,
+      label: release?.['label-info']?.find(info => info.label?.name)?.label.name || null
+    };
+  }
+
+  request(resource, params, signal) {
+    return this.limiter.run(async () => {
+      try {
+        const { data } = await axios.get(`${API_URL}/${resource}`, {
+          params: { ...params, fmt: 'json' },
+          headers: { 'User-Agent': USER_AGENT },
+          timeout: REQUEST_TIMEOUT_MS,
+          signal
+        });
+        return data;
+      } catch (error) {
+        // MusicBrainz answers 503 when requests come too fast: worth a retry
+        if (error.response?.status === 503) {
+          error.transient = true;
+        }
+        throw error;
+      }
+    }, { signal });
+  }
+}
+
+// Releases are searched with their date, the earliest one is the original release
+function earliestRelease(releases = []) {
+  return [...releases].sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'))[0] || null;
+}
+
+function yearOf(date) {
+  return date?.match(/^\d{4}/)?.[0] || null;
+}
+
+// Lucene special characters in the search query
+function escapeQuery(text) {
+  return (text || '').replace(/([+\-&|!(){}[\]^"~*?:\\/])/g, '\\$1');
+}
@@ -0,0 +1,45 @@
+import axios from 'axios';
+
+// oEmbed endpoints by host: public, no key, but no search either
+const PROVIDERS = [
+  { hosts: /(^|\.)(youtube\.com|youtu\.be)$/, endpoint: 'https://www.youtube.com/oembed' },
+  { hosts: /(^|\.)soundcloud\.com$/, endpoint: 'https://soundcloud.com/oembed' }
+];
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Link resolver checking YouTube and SoundCloud links through oEmbed (see linkVerifier.js for the resolver interface)
+export class OEmbedResolver {
+  constructor() {
+    this.name = 'oembed';
+  }
+
+  async lookup(url, { signal } = {}) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      return null;
+    }
+
+    const provider = PROVIDERS.find(candidate => candidate.hosts.test(host));
+    if (!provider) {
+      return null;
+    }
+
+    try {
+      const { data } = await axios.get(provider.endpoint, {
+        params: { url, format: 'json' },
+        timeout: REQUEST_TIMEOUT_MS,
+        signal
+      });
+      return { url, title: data.title, author: data.author_name };
+    } catch (error) {
+      // Unknown video (404), private or not embeddable (401/403), malformed id (400)
+      if ([400, 401, 403, 404].includes(error.response?.status)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,42 @@
+import axios from 'axios';
+
+// Local models can take minutes to answer a long transcript
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MINUTES || '10') * 60 * 1000;
+
+// LLM provider for any endpoint speaking the OpenAI chat completions API: OpenAI itself,
+// or a local server such as Ollama (LLM_BASE_URL=http://localhost:11434/v1), which needs no key.
+// See llmClient.js for the provider interface.
+export class OpenAiCompatibleLlm {
+  constructor(options = {}) {
+    this.name = 'openai';
+    // Each endpoint serves its own models
+    this.defaultModel = null;
+    this.baseUrl = (options.baseUrl || process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+    this.settings = { baseUrl: this.baseUrl };
+    // The server is all we know of who runs the model: api.openai.com, localhost:11434...
+    this.label = new URL(this.baseUrl).host;
+  }
+
+  async complete(messages, { model, temperature, maxTokens }) {
+    const { data } = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    }, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    const choice = data.choices?.[0];
+    if (!choice) {
+      throw new Error(`No completion in the answer from ${this.baseUrl}`);
+    }
+
+    return {
+      text: choice.message?.content || '',
+      truncated: choice.finish_reason === 'length'
+    };
+  }
+}
@@ -1,219 +1,1423 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
 import { logger } from '../utils/logger.js';
+import { StateStore } from '../utils/stateStore.js';
+import { getFilenameGrammar } from '../utils/filenameGrammar.js';
+import { withRetry, classifyError } from '../utils/retry.js';
+import { StageLimiter } from '../utils/stageLimiter.js';
+import { describeEpisode } from '../utils/episodeRef.js';
+import { getPodcast } from '../utils/podcastConfig.js';
+import { getProfile } from '../utils/podcastProfile.js';
+import { tempPathFor, ensureSpaceFor, shouldCleanup, removeTempFiles, pruneTempDir } from '../utils/tempFiles.js';
 import { TranscriptionService } from './transcriptionService.js';
 import { ContentExtractor } from './contentExtractor.js';
 import { StorageService } from './storageService.js';
 import { RepoUpdater } from './repoUpdater.js';
 import { EpisodeDataLogger } from './episodeDataLogger.js';
+import { SpeakerMapper } from './speakerMapper.js';
+import { TranscriptExporter } from './transcriptExporter.js';
+import { VocabularyBuilder } from './vocabularyBuilder.js';
+import { AudioAnalyzer } from './audioAnalyzer.js';
+import { ChapterBuilder } from './chapterBuilder.js';
+import { LinkVerifier } from './linkVerifier.js';
+import { TrackEnricher } from './trackEnricher.js';
+import { MentionLocator } from './mentionLocator.js';
+
+// Pipeline steps in execution order
+const STEPS = ['pairing', 'download', 'transcription', 'analysis', 'extraction', 'enrichment', 'verification', 'upload', 'repoUpdate'];
+
+// Step names as recorded by EpisodeDataLogger in processing-metadata.json
+const LOGGED_STEPS = {
+  pairing: 'pairing',
+  download: 'download',
+  transcription: 'transcription',
+  analysis: 'analysis',
+  extraction: 'extraction',
+  enrichment: 'enrichment',
+  verification: 'verification',
+  upload: 'upload',
+  repoUpdate: 'repository'
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// A job whose transcript is being produced by AssemblyAI; it leaves the active set until the webhook arrives
+const AWAITING_TRANSCRIPT = 'awaiting_transcript';
+// A job waiting for its full mix; it leaves the active set too, and checks the source every PAIRING_POLL_MS
+const AWAITING_COMPANION = 'awaiting_companion';
+// A job held before upload until someone releases it (holdForReview), after checking its chapters and page
+const AWAITING_REVIEW = 'awaiting_review';
+// The status of a job parked in each of these steps
+const PARKED_IN = { pairing: AWAITING_COMPANION, transcription: AWAITING_TRANSCRIPT, upload: AWAITING_REVIEW };
+const PARKED_STATUSES = Object.values(PARKED_IN);
+
+// Parked jobs that haven't heard back in this long look the transcript up themselves
+const TRANSCRIPT_RECOVERY_MS = parseInt(process.env.TRANSCRIPT_RECOVERY_MINUTES || '15') * 60 * 1000;
+// ...and give up after this long
+const TRANSCRIPT_MAX_WAIT_MS = parseInt(process.env.TRANSCRIPT_MAX_WAIT_HOURS || '12') * 60 * 60 * 1000;
+
+// Number of finished jobs kept in the state file for reference
+const MAX_FINISHED_JOBS = 50;
+
+// Pairing waits for the full mix and for both files to stop growing
+const PAIRING_TIMEOUT_MS = parseInt(process.env.PAIRING_TIMEOUT_MINUTES || '120') * 60 * 1000;
+const PAIRING_STABLE_MS = parseInt(process.env.PAIRING_STABLE_SECONDS || '60') * 1000;
+const PAIRING_POLL_MS = parseInt(process.env.PAIRING_POLL_SECONDS || '30') * 1000;
+
+// Retries per step for transient errors (network, 429/5xx); permanent errors fail the step at once
+const RETRY_POLICIES = {
+  pairing: { maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 60000 },
+  download: { maxAttempts: 4, baseDelayMs: 5000, maxDelayMs: 60000 },
+  transcription: { maxAttempts: 3, baseDelayMs: 30000, maxDelayMs: 300000 },
+  analysis: { maxAttempts: 2, baseDelayMs: 10000, maxDelayMs: 60000 },
+  extraction: { maxAttempts: 4, baseDelayMs: 10000, maxDelayMs: 120000 },
+  enrichment: { maxAttempts: 3, baseDelayMs: 10000, maxDelayMs: 60000 },
+  verification: { maxAttempts: 3, baseDelayMs: 10000, maxDelayMs: 60000 },
+  upload: { maxAttempts: 5, baseDelayMs: 5000, maxDelayMs: 120000 },
+  repoUpdate: { maxAttempts: 4, baseDelayMs: 5000, maxDelayMs: 60000 }
+};
+
+// Jobs in flight at once; within a job, each step also waits for its stage limiter
+const MAX_ACTIVE_JOBS = parseInt(process.env.MAX_ACTIVE_JOBS || '6');
+
+// Per-stage concurrency: downloads and transcriptions run side by side, extraction
+// calls are spaced out for the Claude rate limit, and git operations run one at a time
+const STAGE_LIMITS = {
+  pairing: {},
+  download: { concurrency: parseInt(process.env.DOWNLOAD_CONCURRENCY || '2') },
+  transcription: { concurrency: parseInt(process.env.TRANSCRIPTION_CONCURRENCY || '3') },
+  // ffmpeg decodes the whole mix, one at a time is plenty
+  analysis: { concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY || '1') },
+  extraction: {
+    concurrency: parseInt(process.env.EXTRACTION_CONCURRENCY || '1'),
+    minIntervalMs: parseInt(process.env.EXTRACTION_MIN_INTERVAL_SECONDS || '30') * 1000
+  },
+  // The catalogs rate-limit their own requests, episodes take turns
+  enrichment: { concurrency: parseInt(process.env.ENRICHMENT_CONCURRENCY || '1') },
+  verification: { concurrency: parseInt(process.env.VERIFICATION_CONCURRENCY || '1') },
+  upload: { concurrency: parseInt(process.env.UPLOAD_CONCURRENCY || '2') },
+  repoUpdate: { concurrency: 1 }
+};
+
+// Thrown when a job isn't in a state the requested action applies to
+function jobConflict(message) {
+  return Object.assign(new Error(message), { status: 409 });
+}
+
+// Podcasts set `holdForReview` in podcasts.json; HOLD_FOR_REVIEW=true holds every podcast's episodes
+function holdsForReview(podcastName) {
+  const podcast = getPodcast(podcastName);
+  return podcast?.holdForReview ?? process.env.HOLD_FOR_REVIEW === 'true';
+}
 
 export class ProcessingQueue {
-  constructor(driveWatcher) {
+  constructor() {
+    this.jobs = [];
     this.queue = [];
+    this.active = new Set();
+    // AbortControllers of running jobs, by job id
+    this.controllers = new Map();
+    // Next pairing check of jobs parked as AWAITING_COMPANION, by job id
+    this.pairingTimers = new Map();
     this.processing = false;
-    this.driveWatcher = driveWatcher;
+    this.stageLimiters = Object.fromEntries(
+      Object.entries(STAGE_LIMITS).map(([step, limits]) => [step, new StageLimiter(limits)])
+    );
+    this.resuming = null;
+    // Ingest sources by podcast name
+    this.sources = new Map();
+    this.store = new StateStore('queue.json');
     this.transcriptionService = new TranscriptionService();
     this.contentExtractor = new ContentExtractor();
     this.storageService = new StorageService();
     this.repoUpdater = new RepoUpdater();
     this.dataLogger = new EpisodeDataLogger();
+    this.transcriptExporter = new TranscriptExporter();
+    this.vocabularyBuilder = new VocabularyBuilder();
+    this.audioAnalyzer = new AudioAnalyzer();
+    this.chapterBuilder = new ChapterBuilder();
+    this.linkVerifier = new LinkVerifier();
+    this.trackEnricher = new TrackEnricher();
+  }
+
+  registerSource(podcastName, source) {
+    this.sources.set(podcastName, source);
+  }
+
+  getSource(item) {
+    const source = this.sources.get(item.podcast);
+    if (!source) {
+      throw new Error(`No ingest source registered for podcast ${item.podcast}`);
+    }
+    return source;
+  }
+
+  // Reload jobs saved by a previous run and pick up the unfinished ones
+  async resume() {
+    this.resuming = this.restoreJobs();
+    await this.resuming;
+  }
+
+  async restoreJobs() {
+    const state = await this.store.load({ jobs: [], queue: [] });
+    this.jobs = state.jobs;
+
+    for (const item of this.jobs) {
+      if (FINISHED_STATUSES.includes(item.status)) {
+        continue;
+      }
+
+      // A step that was interrupted mid-way starts over; completed steps are restored from their artifacts.
+      // A parked transcription checks on its saved transcript id.
+      for (const [step, status] of Object.entries(item.steps)) {
+        if (status === 'in_progress' || status === 'awaiting') {
+          item.steps[step] = 'pending';
+        }
+      }
+
+      item.status = 'queued';
+      item.resumed = true;
+      this.queue.push(item);
+    }
+
+    if (this.queue.length === 0) {
+      logger.debug('No unfinished jobs to resume');
+      return;
+    }
+
+    // Keep the saved order (including reprioritized jobs); jobs that were running aren't in it and go first
+    this.queue.sort((a, b) => state.queue.indexOf(a.id) - state.queue.indexOf(b.id));
+
+    logger.info(`Resuming ${this.queue.length} unfinished job(s) from previous run`);
+    await this.saveState();
+    this.processQueue();
   }
 
-  async addToQueue(file) {
+  async addToQueue(file, podcastName) {
+    // Don't let a file detected during startup race the saved state
+    await this.resuming;
+
+    // A new version of a file that is already processing gets its own job, started after the current one.
+    // A job still waiting for its full mix simply pairs the new version.
+    const existing = this.jobs.find(job =>
+      job.file.id === file.id && job.podcast === podcastName && (job.status === 'queued' || job.status === AWAITING_COMPANION)
+    );
+    if (existing) {
+      logger.info(`File ${file.name} is already in the queue (job ${existing.id}), skipping`);
+      existing.file = file;
+      return existing.id;
+    }
+
     logger.info(`Adding file to processing queue: ${file.name}`);
     
     const queueItem = {
-      id: Date.now(),
+      id: crypto.randomUUID(),
+      podcast: podcastName,
       file,
       status: 'queued',
       addedAt: new Date(),
-      steps: {
-        download: 'pending',
-        transcription: 'pending',
-        extraction: 'pending',
-        upload: 'pending',
-        repoUpdate: 'pending'
-      }
+      steps: Object.fromEntries(STEPS.map(step => [step, 'pending']))
     };
 
+    this.jobs.push(queueItem);
     this.queue.push(queueItem);
+    await this.saveState();
     
-    // Start processing if not already running
-    if (!this.processing) {
-      this.processQueue();
-    }
+    this.processQueue();
 
     return queueItem.id;
   }
 
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) {
-      return;
+  // The source file disappeared: drop jobs that haven't started yet
+  async removeFile(fileId) {
+    const removed = this.queue.filter(item => item.file.id === fileId);
+
+    if (removed.length > 0) {
+      this.queue = this.queue.filter(item => item.file.id !== fileId);
+      for (const item of removed) {
+        logger.info(`Removing ${item.file.name} from the queue, source file is gone`);
+        item.status = 'cancelled';
+        item.finishedAt = new Date().toISOString();
+      }
+      await this.saveState();
+    }
+
+    const running = this.jobs.find(job => job.file.id === fileId && job.status === 'processing');
+    if (running) {
+      logger.warn(`Source file ${running.file.name} is gone while job ${running.id} is processing`);
+    }
+  }
+
+  // Start queued jobs while there is room; each job then waits for its stages' limiters
+  processQueue() {
+    while (this.active.size < MAX_ACTIVE_JOBS) {
+      // Two versions of the same file never run side by side
+      const index = this.queue.findIndex(item => !this.isFileActive(item));
+      if (index === -1) {
+        break;
+      }
+
+      const [item] = this.queue.splice(index, 1);
+      this.active.add(item);
+
+      this.processItem(item).finally(() => {
+        this.active.delete(item);
+        if (this.active.size === 0 && this.queue.length === 0) {
+          logger.info('Queue processing completed');
+        }
+        this.processQueue();
+      });
     }
 
-    this.processing = true;
-    logger.info('Starting queue processing...');
+    this.processing = this.active.size > 0;
+  }
 
-    while (this.queue.length > 0) {
-      const item = this.queue.shift();
-      await this.processItem(item);
+  isFileActive(item) {
+    return [...this.active].some(active => active.podcast === item.podcast && active.file.id === item.file.id);
+  }
+
+  async saveState() {
+    const finished = this.jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+    const excess = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)));
+
+    if (excess.size > 0) {
+      this.jobs = this.jobs.filter(job => !excess.has(job));
     }
 
-    this.processing = false;
-    logger.info('Queue processing completed');
+    await this.store.save({ jobs: this.jobs, queue: this.queue.map(item => item.id) });
+  }
+
+  getJob(id) {
+    return this.jobs.find(job => String(job.id) === String(id)) || null;
+  }
+
+  // Newest first
+  listJobs({ status } = {}) {
+    return this.jobs
+      .filter(job => !status || job.status === status)
+      .map(job => this.describeJob(job))
+      .reverse();
+  }
+
+  describeJob(item) {
+    return {
+      id: item.id,
+      podcast: item.podcast,
+      filename: item.file.name,
+      season: item.season ?? null,
+      episodeNumber: item.episodeNumber ?? null,
+      status: item.status,
+      steps: item.steps,
+      position: item.status === 'queued' ? this.queue.indexOf(item) + 1 : null,
+      error: item.error || null,
+      transcriptId: item.transcriptId || null,
+      refresh: !!item.refresh,
+      releasedAt: item.releasedAt || null,
+      retries: item.retries || null,
+      addedAt: item.addedAt,
+      startedAt: item.startedAt || null,
+      finishedAt: item.finishedAt || null
+    };
+  }
+
+  // Queued jobs are dropped right away; a running job is aborted and stops at its next await
+  async cancelJob(id) {
+    const item = this.requireJob(id);
+
+    if (item.status === 'queued' || PARKED_STATUSES.includes(item.status)) {
+      const wasParked = PARKED_STATUSES.includes(item.status);
+      this.queue = this.queue.filter(queued => queued !== item);
+      clearTimeout(this.pairingTimers.get(item.id));
+      this.pairingTimers.delete(item.id);
+      item.status = 'cancelled';
+      item.finishedAt = new Date().toISOString();
+      logger.info(`Cancelled ${wasParked ? 'parked' : 'queued'} job ${item.id} (${item.file.name})`);
+
+      if (wasParked && item.episodeNumber) {
+        await this.dataLogger.finalizeEpisode(this.episodeOf(item), 'cancelled');
+      }
+      // A parked job has downloaded its audio, a queued one may still have it from an earlier attempt
+      await this.cleanup(item);
+      await this.saveState();
+      return item;
+    }
+
+    const controller = this.controllers.get(item.id);
+    if (item.status !== 'processing' || !controller) {
+      throw jobConflict(`Job ${item.id} is ${item.status}, only queued, processing or parked jobs can be cancelled`);
+    }
+
+    logger.info(`Cancelling job ${item.id} (${item.file.name})`);
+    controller.abort(Object.assign(new Error('Job cancelled'), { name: 'AbortError', permanent: true }));
+    return item;
+  }
+
+  // Re-queue a finished job. Steps from `fromStep` on run again, earlier ones are restored
+  // from their saved results; by default the job picks up at its first unfinished step.
+  // refresh ignores cached transcripts and extractions for this run of the job
+  async retryJob(id, fromStep, { refresh = false } = {}) {
+    const item = this.requireJob(id);
+
+    if (!FINISHED_STATUSES.includes(item.status)) {
+      throw jobConflict(`Job ${item.id} is ${item.status}, only finished jobs can be retried`);
+    }
+    if (fromStep && !STEPS.includes(fromStep)) {
+      throw Object.assign(new Error(`Unknown step ${fromStep}, expected one of: ${STEPS.join(', ')}`), { status: 400 });
+    }
+
+    const startStep = fromStep || STEPS.find(step => item.steps[step] !== 'completed');
+    if (!startStep) {
+      throw jobConflict(`Job ${item.id} already completed every step, pass a step to rerun from`);
+    }
+    const resetSteps = STEPS.slice(STEPS.indexOf(startStep));
+
+    for (const step of resetSteps) {
+      item.steps[step] = 'pending';
+      // restoreStep also trusts the episode metadata, so it has to forget the step too
+      if (item.episodeNumber) {
+        await this.dataLogger.updateStep(this.episodeOf(item), LOGGED_STEPS[step], false);
+      }
+    }
+    if (resetSteps.includes('pairing')) {
+      delete item.companion;
+      delete item.pairingStartedAt;
+      delete item.pairingSizes;
+      delete item.pairingWaitingFor;
+      delete item.companionPath;
+    }
+    if (resetSteps.includes('transcription')) {
+      this.forgetTranscript(item);
+    }
+    // New content gets a new review; rerunning only the upload or the repository update doesn't
+    if (STEPS.indexOf(startStep) < STEPS.indexOf('upload')) {
+      delete item.releasedAt;
+    }
+
+    delete item.error;
+    delete item.retries;
+    delete item.finishedAt;
+    item.refresh = !!refresh;
+    item.status = 'queued';
+    item.resumed = true;
+    this.queue.push(item);
+
+    logger.info(`Retrying job ${item.id} (${item.file.name}) from step ${startStep}${refresh ? ', bypassing the cache' : ''}`);
+    await this.saveState();
+    this.processQueue();
+    return item;
+  }
+
+  // Move a queued job to the front of the queue
+  async prioritizeJob(id) {
+    const item = this.requireJob(id);
+
+    if (item.status !== 'queued') {
+      throw jobConflict(`Job ${item.id} is ${item.status}, only queued jobs can be reprioritized`);
+    }
+
+    this.queue = [item, ...this.queue.filter(queued => queued !== item)];
+    logger.info(`Moved job ${item.id} (${item.file.name}) to the front of the queue`);
+    await this.saveState();
+    this.processQueue();
+    return item;
+  }
+
+  // Let a job held for review (AWAITING_REVIEW) go on to upload and publish
+  async releaseJob(id) {
+    const item = this.requireJob(id);
+
+    if (item.status !== AWAITING_REVIEW) {
+      throw jobConflict(`Job ${item.id} is ${item.status}, only jobs held for review can be released`);
+    }
+
+    item.releasedAt = new Date().toISOString();
+    logger.info(`Released job ${item.id} (${item.file.name}) for publishing`);
+    await this.unpark(item);
+    return item;
+  }
+
+  requireJob(id) {
+    const item = this.getJob(id);
+    if (!item) {
+      throw Object.assign(new Error(`Job ${id} not found`), { status: 404 });
+    }
+    return item;
   }
 
   async processItem(item) {
-    let episodeNumber = null;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const context = { signal };
+    let episode = null;
+
+    this.controllers.set(item.id, controller);
     
     try {
-      logger.info(`Processing item: ${item.file.name}`);
+      logger.info(`${item.resumed ? 'Resuming' : 'Processing'} item: ${item.file.name}`);
       item.status = 'processing';
+      delete item.error;
 
       // Initialize episode data logging
-      episodeNumber = this.driveWatcher.extractEpisodeNumber(item.file.name);
+      const parsed = getFilenameGrammar(item.podcast).parse(item.file.name);
+      item.season = parsed?.season ?? null;
+      item.episodeNumber = parsed?.episode ?? null;
+      episode = this.episodeOf(item);
       
-      if (episodeNumber) {
-        await this.dataLogger.initializeEpisode(episodeNumber, {
+      if (episode && !item.startedAt) {
+        await this.dataLogger.initializeEpisode(episode, {
+          podcast: item.podcast,
           filename: item.file.name,
           fileId: item.file.id,
           fileSize: item.file.size
         });
+      } else if (episode) {
+        await this.dataLogger.updateMetadata(episode, {
+          status: 'processing',
+          resumedAt: new Date().toISOString()
+        });
       }
 
-      // Step 1: Download file
-      item.steps.download = 'in_progress';
-      const localPath = await this.downloadFile(item.file);
-      item.steps.download = 'completed';
-      logger.info(`Downloaded: ${localPath}`);
-      
-      if (episodeNumber) {
-        await this.dataLogger.updateStep(episodeNumber, 'download', true);
+      item.startedAt = item.startedAt || new Date().toISOString();
+      await this.saveState();
+
+      for (const step of STEPS) {
+        signal.throwIfAborted();
+
+        if (await this.restoreStep(item, step, context)) {
+          logger.info(`Step ${step} already completed for ${item.file.name}, reusing saved result`);
+          continue;
+        }
+
+        // The stage slot is held per attempt, not while backing off between retries.
+        // A job cancelled while waiting for its slot leaves the line without running the step.
+        await withRetry(attempt => this.stageLimiters[step].run(async () => {
+          context.attempt = attempt;
+          item.steps[step] = 'in_progress';
+          await this.saveState();
+          await this.runStep(item, step, context);
+        }, { signal }), RETRY_POLICIES[step], {
+          onError: (error, attempt) => this.recordStepError(item, step, error, attempt),
+          signal
+        });
+
+        if (context.parked) {
+          // Not finished: the webhook, the recovery check or the pairing check puts the job back in the queue
+          await this.park(item, step);
+          return;
+        }
+
+        item.steps[step] = 'completed';
+        await this.saveState();
       }
 
-      // Step 2: Transcription
-      item.steps.transcription = 'in_progress';
-      const transcript = await this.transcriptionService.transcribe(localPath);
-      item.steps.transcription = 'completed';
-      logger.info('Transcription completed');
+      item.status = 'completed';
+      logger.info(`✅ Successfully processed: ${item.file.name}`);
       
-      if (episodeNumber) {
-        await this.dataLogger.logRawTranscript(episodeNumber, transcript);
+      if (episode) {
+        await this.dataLogger.finalizeEpisode(episode, 'completed');
       }
 
-      // Step 3: Content extraction
-      item.steps.extraction = 'in_progress';
-      const extractedContent = await this.contentExtractor.extract(transcript, item.file.name);
-      item.steps.extraction = 'completed';
-      logger.info('Content extraction completed');
-      
-      if (episodeNumber) {
-        await this.dataLogger.logExtractedContent(episodeNumber, extractedContent);
+    } catch (error) {
+      const cancelled = signal.aborted;
+
+      if (cancelled) {
+        logger.warn(`Cancelled processing of ${item.file.name}`);
+      } else {
+        logger.error(`❌ Failed to process ${item.file.name}:`, error);
       }
+      item.status = cancelled ? 'cancelled' : 'failed';
+      item.error = error.message;
 
-      // Step 4: Find and upload full episode file (not the -no-mix version)
-      item.steps.upload = 'in_progress';
-      const fullEpisodePath = await this.findFullEpisodeFile(item.file, extractedContent.episodeNumber);
-      const uploadedUrls = await this.storageService.uploadFiles(fullEpisodePath, extractedContent.episodeNumber);
-      item.steps.upload = 'completed';
-      logger.info('Files uploaded to R2');
+      for (const [step, status] of Object.entries(item.steps)) {
+        if (status === 'in_progress') {
+          item.steps[step] = cancelled ? 'pending' : 'failed';
+        }
+      }
       
-      if (episodeNumber) {
-        await this.dataLogger.logUploadResults(episodeNumber, uploadedUrls);
+      if (episode) {
+        await this.dataLogger.finalizeEpisode(episode, item.status, error.message);
       }
+    } finally {
+      this.controllers.delete(item.id);
+    }
 
-      // Step 5: Update repository
-      item.steps.repoUpdate = 'in_progress';
-      await this.repoUpdater.updateRepo(extractedContent, uploadedUrls);
-      item.steps.repoUpdate = 'completed';
-      logger.info('Repository updated');
-      
-      if (episodeNumber) {
-        await this.dataLogger.logRepositoryUpdate(episodeNumber, {
-          episodeFile: `${extractedContent.episodeNumber.toString().padStart(2, '0')}-${extractedContent.title?.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.md`,
-          uploadedUrls
+    item.finishedAt = new Date().toISOString();
+    await this.cleanup(item);
+    await this.saveState();
+  }
+
+  // Steps that only add to the episode must not fail it: their errors are rethrown while withRetry
+  // still has an attempt for them, then the step gives up and the episode goes on without its result.
+  // Called outside the retry loop (no context.attempt), the first error gives up.
+  givesUp(step, error, context) {
+    if (context.signal?.aborted) {
+      return false;
+    }
+    return classifyError(error) === 'permanent' || (context.attempt ?? Infinity) >= RETRY_POLICIES[step].maxAttempts;
+  }
+
+  async recordStepError(item, step, error, { attempt, classification, willRetry, delayMs }) {
+    if (willRetry) {
+      logger.warn(`Step ${step} failed for ${item.file.name} (attempt ${attempt}, ${classification}): ${error.message}. Retrying in ${Math.round(delayMs / 1000)}s`);
+    } else {
+      logger.error(`Step ${step} failed for ${item.file.name} after ${attempt} attempt(s) (${classification}): ${error.message}`);
+    }
+
+    item.retries = item.retries || {};
+    item.retries[step] = { attempts: attempt, lastError: error.message, classification };
+    await this.saveState();
+
+    if (item.episodeNumber) {
+      await this.dataLogger.logStepError(this.episodeOf(item), LOGGED_STEPS[step], {
+        attempt,
+        error: error.message,
+        classification,
+        willRetry
+      });
+    }
+  }
+
+  async runStep(item, step, context) {
+    const episode = this.episodeOf(item);
+
+    switch (step) {
+      case 'pairing': {
+        item.companion = await this.findCompanion(item);
+        if (!item.companion) {
+          context.parked = true;
+          break;
+        }
+        logger.info(`Paired ${item.file.name} with full mix ${item.companion.name}`);
+        delete item.pairingSizes;
+        delete item.pairingWaitingFor;
+        
+        if (episode) {
+          await this.dataLogger.updateMetadata(episode, { fullMix: item.companion.name });
+          await this.dataLogger.updateStep(episode, 'pairing', true);
+        }
+        break;
+      }
+
+      case 'download': {
+        context.localPath = await this.downloadFile(item, item.file, context.signal);
+        item.localPath = context.localPath;
+        logger.info(`Downloaded: ${context.localPath}`);
+        
+        if (episode) {
+          await this.dataLogger.updateStep(episode, 'download', true);
+        }
+        break;
+      }
+
+      case 'transcription': {
+        context.vocabulary = await this.vocabularyFor(item, episode);
+        context.transcript = this.transcriptionService.usesWebhooks(item.podcast)
+          ? await this.collectTranscript(item, context)
+          : await this.transcriptionService.transcribe(context.localPath, {
+            podcast: item.podcast,
+            signal: context.signal,
+            vocabulary: context.vocabulary,
+            refresh: !!item.refresh
+          });
+
+        if (!context.transcript) {
+          context.parked = true;
+          break;
+        }
+        logger.info('Transcription completed');
+
+        await this.nameSpeakers(item.podcast, episode, context.transcript);
+        
+        if (episode) {
+          await this.dataLogger.logRawTranscript(episode, context.transcript);
+          await this.reportVocabulary(episode, context.vocabulary, context.transcript);
+          await this.recordCache(episode, 'transcription', context.transcript.cache);
+        }
+        break;
+      }
+
+      case 'analysis': {
+        // Enrichment only: an episode is still published when its full mix can't be analyzed,
+        // the timeline being skipped once the analysis has used up its attempts
+        try {
+          const fullEpisodePath = await this.findFullEpisodeFile(item, context.signal);
+          context.timeline = await this.audioAnalyzer.analyze(fullEpisodePath, context.transcript, { signal: context.signal });
+        } catch (error) {
+          if (!this.givesUp(step, error, context)) {
+            throw error;
+          }
+          logger.warn(`Skipping the timeline of ${item.file.name}: ${error.message}`);
+          context.timeline = null;
+        }
+
+        if (episode) {
+          if (context.timeline) {
+            await this.dataLogger.saveArtifact(episode, 'timeline.json', context.timeline);
+          }
+          await this.dataLogger.updateStep(episode, 'analysis', Boolean(context.timeline));
+        }
+        break;
+      }
+
+      case 'extraction': {
+        context.extractedContent = await this.contentExtractor.extract(context.transcript, item.file.name, item.podcast, {
+          refresh: !!item.refresh
         });
+        logger.info('Content extraction completed');
+
+        if (!context.extractedContent.fallback) {
+          context.extractedContent = new MentionLocator(context.transcript).annotate(context.extractedContent);
+          context.extractedContent.chapters = this.chapterBuilder.build(context.transcript, context.extractedContent, context.timeline);
+          // Also regenerates the markdown, with the mentions' timestamps
+          await this.applyChapterTitles(episode, context.extractedContent);
+        }
+        
+        if (episode) {
+          await this.dataLogger.logExtractedContent(episode, context.extractedContent);
+          await this.recordCache(episode, 'extraction', context.extractedContent.cache);
+          await this.dataLogger.updateMetadata(episode, {
+            extractionAttempts: context.extractedContent.extractionAttempts ?? null,
+            publishBlocked: !!context.extractedContent.publishBlocked
+          });
+        }
+        break;
       }
 
-      item.status = 'completed';
-      logger.info(`✅ Successfully processed: ${item.file.name}`);
-      
-      if (episodeNumber) {
-        await this.dataLogger.finalizeEpisode(episodeNumber, 'completed');
+      case 'enrichment': {
+        const { extractedContent } = context;
+        // Enrichment only: tracks keep their extracted details when the catalog can't be searched
+        let skipped = false;
+        try {
+          const { tracks, report } = await this.trackEnricher.enrich(extractedContent.tracks || [], { signal: context.signal });
+          extractedContent.tracks = tracks;
+          extractedContent.markdownContent = this.contentExtractor.generateMarkdown(extractedContent);
+
+          if (episode) {
+            await this.dataLogger.saveArtifact(episode, 'catalog-matches.json', report);
+            await this.dataLogger.logExtractedContent(episode, extractedContent);
+            await this.dataLogger.updateMetadata(episode, { enrichment: { catalog: report.catalog, ...report.summary } });
+          }
+        } catch (error) {
+          if (!this.givesUp(step, error, context)) {
+            throw error;
+          }
+          logger.warn(`Skipping catalog enrichment of ${item.file.name}: ${error.message}`);
+          skipped = true;
+          if (episode) {
+            await this.dataLogger.updateMetadata(episode, { enrichment: { skipped: error.message } });
+          }
+        }
+
+        if (episode) {
+          // A skipped enrichment stays to be done: retrying the job from `enrichment` matches the tracks
+          await this.dataLogger.updateStep(episode, 'enrichment', !skipped);
+        }
+        break;
+      }
+
+      case 'verification': {
+        const { extractedContent } = context;
+        // Enrichment only, like the analysis: when the resolver keeps failing, the episode goes on
+        // with every link left unverified (dropped from the page, kept as originalLink)
+        let verification;
+        let skipped = null;
+        try {
+          verification = await this.linkVerifier.verify(extractedContent.tracks || [], { signal: context.signal });
+        } catch (error) {
+          if (!this.givesUp(step, error, context)) {
+            throw error;
+          }
+          logger.warn(`Leaving the links of ${item.file.name} unverified: ${error.message}`);
+          skipped = error.message;
+          verification = this.linkVerifier.leaveUnverified(extractedContent.tracks || [], `not checked: ${error.message}`);
+        }
+
+        const { tracks, report } = verification;
+        extractedContent.tracks = tracks;
+        extractedContent.linkVerification = report.summary;
+        extractedContent.markdownContent = this.contentExtractor.generateMarkdown(extractedContent);
+
+        if (episode) {
+          await this.dataLogger.saveArtifact(episode, 'link-verification.json', report);
+          await this.dataLogger.logExtractedContent(episode, extractedContent);
+          await this.dataLogger.updateMetadata(episode, {
+            links: { resolver: report.resolver, ...report.summary, ...(skipped && { skipped }) }
+          });
+          await this.dataLogger.updateStep(episode, 'verification', !skipped);
+        }
+        break;
+      }
+
+      case 'upload': {
+        // Find and upload the full mix (not the voice track that was transcribed)
+        const { extractedContent } = context;
+        if (extractedContent.publishBlocked) {
+          throw Object.assign(new Error(
+            `Publishing blocked for ${item.file.name}: the extraction fell back to placeholder content. ` +
+            'Review generated/ and retry from extraction, or clear publishBlocked in extracted-content.json and retry from upload'
+          ), { permanent: true });
+        }
+        if (holdsForReview(item.podcast) && !item.releasedAt) {
+          context.parked = true;
+          break;
+        }
+        const fullEpisodePath = await this.findFullEpisodeFile(item, context.signal);
+        context.uploadedUrls = await this.storageService.uploadFiles(fullEpisodePath, episode, { signal: context.signal });
+
+        // Titles may have been edited since extraction
+        if (extractedContent.chapters?.length > 1) {
+          await this.applyChapterTitles(episode, extractedContent);
+          context.uploadedUrls.chaptersUrl = await this.storageService.uploadChapters(
+            this.chapterBuilder.toPodcastJson(extractedContent.chapters), episode, { signal: context.signal }
+          );
+        }
+
+        // Transcript files, listed in the episode frontmatter for Astropod and podcast apps
+        const transcriptFiles = this.transcriptExporter.render(context.transcript);
+        if (transcriptFiles) {
+          const language = getPodcast(item.podcast)?.transcription?.language ||
+            getProfile(item.podcast).language;
+          const transcripts = await this.storageService.uploadTranscripts(transcriptFiles, episode, { signal: context.signal });
+          context.uploadedUrls.transcripts = transcripts.map(transcript => ({ ...transcript, language }));
+        }
+        logger.info('Files uploaded to R2');
+        
+        if (episode) {
+          await this.dataLogger.logUploadResults(episode, context.uploadedUrls);
+        }
+        break;
+      }
+
+      case 'repoUpdate': {
+        const { extractedContent, uploadedUrls } = context;
+        const episodeFile = await this.repoUpdater.updateRepo(extractedContent, uploadedUrls, { signal: context.signal });
+        logger.info('Repository updated');
+        
+        if (episode) {
+          await this.dataLogger.logRepositoryUpdate(episode, {
+            episodeFile,
+            uploadedUrls
+          });
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown processing step: ${step}`);
+    }
+  }
+
+  // Submits the transcription once, then returns its result, or null while AssemblyAI is still working on it
+  async collectTranscript(item, context) {
+    if (!item.transcriptId) {
+      const { key, transcript: cached } = await this.transcriptionService.lookup(context.localPath, {
+        podcast: item.podcast,
+        vocabulary: context.vocabulary,
+        refresh: !!item.refresh
+      });
+      if (cached) {
+        return cached;
       }
 
-      // Clean up local file
-      await this.cleanup(localPath);
+      const { id } = await this.transcriptionService.submit(context.localPath, {
+        podcast: item.podcast,
+        vocabulary: context.vocabulary
+      });
+      item.transcriptId = id;
+      item.transcriptCacheKey = key;
+      item.transcriptSubmittedAt = new Date().toISOString();
+      await this.saveState();
 
+      if (item.episodeNumber) {
+        await this.dataLogger.updateMetadata(this.episodeOf(item), { transcriptId: id });
+      }
+    }
+
+    let transcript;
+    try {
+      transcript = await this.transcriptionService.getResult(item.transcriptId, {
+        podcast: item.podcast,
+        cacheKey: item.transcriptCacheKey
+      });
     } catch (error) {
-      logger.error(`❌ Failed to process ${item.file.name}:`, error);
-      item.status = 'failed';
-      item.error = error.message;
-      
-      if (episodeNumber) {
-        await this.dataLogger.finalizeEpisode(episodeNumber, 'failed', error.message);
+      // A failed transcript is final, a retry of the job submits the audio again
+      if (error.permanent) {
+        this.forgetTranscript(item);
+      }
+      throw error;
+    }
+
+    if (!transcript && Date.now() - new Date(item.transcriptSubmittedAt).getTime() > TRANSCRIPT_MAX_WAIT_MS) {
+      const transcriptId = item.transcriptId;
+      this.forgetTranscript(item);
+      const error = new Error(
+        `Transcript ${transcriptId} for ${item.file.name} still not ready after ${Math.round(TRANSCRIPT_MAX_WAIT_MS / 3600000)} hours`
+      );
+      error.permanent = true;
+      throw error;
+    }
+
+    return transcript;
+  }
+
+  forgetTranscript(item) {
+    delete item.transcriptId;
+    delete item.transcriptSubmittedAt;
+    delete item.transcriptCacheKey;
+  }
+
+  async park(item, step) {
+    item.status = PARKED_IN[step];
+    item.steps[step] = 'awaiting';
+    item.parkedAt = new Date().toISOString();
+    if (item.status === AWAITING_TRANSCRIPT) {
+      logger.info(`Waiting for transcript ${item.transcriptId} of ${item.file.name}, parking the job`);
+    } else if (item.status === AWAITING_REVIEW) {
+      logger.info(`Holding ${item.file.name} for review before publishing (job ${item.id})`);
+    }
+
+    if (item.episodeNumber) {
+      await this.dataLogger.updateMetadata(this.episodeOf(item), { status: item.status });
+    }
+
+    // The webhook beat us to it
+    if (item.status === AWAITING_TRANSCRIPT && item.transcriptNotified) {
+      await this.unpark(item);
+      return;
+    }
+
+    await this.saveState();
+    if (item.status === AWAITING_COMPANION) {
+      this.schedulePairingCheck(item);
+    }
+  }
+
+  // Put a parked job back at the front of the queue, it continues at the step it was waiting in
+  async unpark(item) {
+    delete item.parkedAt;
+    delete item.transcriptNotified;
+    for (const [step, status] of Object.entries(item.steps)) {
+      if (status === 'awaiting') {
+        item.steps[step] = 'pending';
       }
     }
+    item.status = 'queued';
+    item.resumed = true;
+    this.queue.unshift(item);
+
+    await this.saveState();
+    this.processQueue();
+  }
+
+  // Called by the AssemblyAI webhook once a transcript is completed (or has failed)
+  async handleTranscriptReady(transcriptId, status) {
+    const item = this.jobs.find(job => job.transcriptId === transcriptId);
+
+    if (!item) {
+      logger.warn(`Transcript ${transcriptId} (${status}) doesn't belong to any job`);
+      return null;
+    }
+
+    logger.info(`Transcript ${transcriptId} of ${item.file.name} is ${status}`);
+
+    if (item.status === AWAITING_TRANSCRIPT) {
+      await this.unpark(item);
+    } else if (item.status === 'processing') {
+      // Still on its way to being parked
+      item.transcriptNotified = true;
+    }
+
+    return item;
+  }
+
+  // Fallback for webhooks that never arrive: parked jobs check on their transcript every TRANSCRIPT_RECOVERY_MS
+  async checkAwaitingTranscripts() {
+    const due = this.jobs.filter(job =>
+      job.status === AWAITING_TRANSCRIPT && Date.now() - new Date(job.parkedAt).getTime() >= TRANSCRIPT_RECOVERY_MS
+    );
+
+    for (const item of due) {
+      logger.info(`No webhook for transcript ${item.transcriptId} of ${item.file.name} yet, looking it up`);
+      await this.unpark(item);
+    }
+  }
+
+  schedulePairingCheck(item) {
+    const timer = setTimeout(() => {
+      this.checkCompanion(item).catch(error => logger.error(`Pairing check failed for ${item.file.name}:`, error));
+    }, PAIRING_POLL_MS);
+    timer.unref?.();
+    this.pairingTimers.set(item.id, timer);
   }
 
-  async findFullEpisodeFile(transcriptFile) {
+  // A job parked for pairing looks at its source without holding a job slot, and goes back to
+  // the queue once the full mix is ready. Errors (the voice track is gone, the timeout) are left
+  // for the pairing step to raise when it runs again.
+  async checkCompanion(item) {
+    this.pairingTimers.delete(item.id);
+    if (item.status !== AWAITING_COMPANION) {
+      return;
+    }
+
+    let ready;
     try {
-      // Look for the full episode file (without -no-mix suffix)
-      const baseFilename = transcriptFile.name.replace('-no-mix', '');
-      
-      logger.debug(`Looking for full episode file: ${baseFilename}`);
-      
-      // Search for the full episode file in Google Drive
-      const response = await this.driveWatcher.drive.files.list({
-        q: `'${process.env.GOOGLE_DRIVE_FOLDER_ID}' in parents and name='${baseFilename}' and trashed=false`,
-        fields: 'files(id,name,size,mimeType)'
+      ready = !!await this.findCompanion(item);
+    } catch {
+      ready = true;
+    }
+
+    // Cancelled while the source was listed
+    if (item.status !== AWAITING_COMPANION) {
+      return;
+    }
+
+    if (ready) {
+      await this.unpark(item);
+    } else {
+      await this.saveState();
+      this.schedulePairingCheck(item);
+    }
+  }
+
+  // Returns true when the step already ran (in this job or before a restart)
+  // and its result could be loaded back into the context
+  async restoreStep(item, step, context) {
+    const episode = this.episodeOf(item);
+    const saved = episode ? await this.dataLogger.getMetadata(episode) : null;
+    // Only ever trust data logged for this podcast
+    const metadata = saved?.podcast === item.podcast ? saved : null;
+    const completed = item.steps[step] === 'completed' || metadata?.steps?.[LOGGED_STEPS[step]] === true;
+
+    if (!completed) {
+      return false;
+    }
+
+    switch (step) {
+      case 'pairing':
+        if (!item.companion) return false;
+        break;
+
+      case 'download':
+        if (item.localPath && await fs.pathExists(item.localPath)) {
+          context.localPath = item.localPath;
+        } else if (!item.transcriptId && !await this.restoreStep(item, 'transcription', context)) {
+          // The local copy is only needed until the audio has been handed to the transcription provider
+          return false;
+        }
+        break;
+
+      case 'transcription':
+        context.transcript = context.transcript || await this.loadArtifact(episode, 'raw-transcript.json');
+        if (!context.transcript) return false;
+        // Overrides may have been edited since
+        await this.nameSpeakers(item.podcast, episode, context.transcript);
+        break;
+
+      case 'analysis':
+        // A skipped analysis has no timeline to restore, and later steps do without one
+        context.timeline = await this.loadArtifact(episode, 'timeline.json');
+        break;
+
+      case 'extraction':
+        context.extractedContent = await this.loadArtifact(episode, 'extracted-content.json');
+        if (!context.extractedContent) return false;
+        break;
+
+      case 'enrichment':
+        // Catalog matches were saved into extracted-content.json too
+        break;
+
+      case 'verification':
+        // Verified links were saved into extracted-content.json, restored with the extraction
+        break;
+
+      case 'upload': {
+        const uploadResults = await this.loadArtifact(episode, 'upload-results.json');
+        if (!uploadResults) return false;
+        const { uploadedAt: _uploadedAt, ...uploadedUrls } = uploadResults;
+        context.uploadedUrls = uploadedUrls;
+        break;
+      }
+
+      default:
+        // repoUpdate is the last step, nothing depends on its result
+        break;
+    }
+
+    item.steps[step] = 'completed';
+    return true;
+  }
+
+  // Names diarization labels from the podcast's roster; manual overrides come from the episode's speaker-map.json
+  async nameSpeakers(podcastName, episode, transcript) {
+    const roster = getPodcast(podcastName)?.roster || [];
+    const saved = await this.loadArtifact(episode, 'speaker-map.json');
+
+    new SpeakerMapper(roster).apply(transcript, saved?.overrides || {});
+
+    const names = Object.entries(transcript.speakerNames).map(([label, name]) => `${label}=${name}`);
+    if (names.length > 0) {
+      logger.info(`Speakers: ${names.join(', ')}`);
+    }
+    return transcript;
+  }
+
+  // cache: { transcription: { hit, key }, extraction: { hit, key } } in processing-metadata.json
+  async recordCache(episode, step, cache) {
+    if (!cache) {
+      return;
+    }
+
+    const metadata = await this.dataLogger.getMetadata(episode);
+    await this.dataLogger.updateMetadata(episode, {
+      cache: { ...metadata?.cache, [step]: { hit: cache.hit, key: cache.key } }
+    });
+    if (cache.hit) {
+      logger.info(`Step ${step} served from cache (${cache.key.slice(0, 12)})`);
+    }
+  }
+
+  // The vocabulary grows with every extracted episode and is part of the transcript cache key, so it is
+  // built once per job and kept (with the job, and in vocabulary.json for later jobs of the episode):
+  // a retry then finds its transcript in the cache. refresh builds it again.
+  async vocabularyFor(item, episode) {
+    if (item.vocabulary && !item.refresh) {
+      return item.vocabulary;
+    }
+
+    const saved = episode && !item.refresh ? await this.loadArtifact(episode, 'vocabulary.json') : null;
+    item.vocabulary = saved?.terms || await this.vocabularyBuilder.build(item.podcast, episode);
+
+    if (episode && !saved) {
+      await this.dataLogger.saveArtifact(episode, 'vocabulary.json', {
+        terms: item.vocabulary,
+        builtAt: new Date().toISOString()
       });
-      
-      const fullEpisodeFile = response.data.files?.[0];
-      
-      if (fullEpisodeFile) {
-        logger.info(`Found full episode file: ${fullEpisodeFile.name}`);
-        // Download the full episode file
-        const tempDir = './temp';
-        const fs = await import('fs-extra');
-        await fs.ensureDir(tempDir);
-        
-        const fullEpisodePath = `${tempDir}/castsmith-${fullEpisodeFile.id}-${fullEpisodeFile.name}`;
-        await this.driveWatcher.downloadFile(fullEpisodeFile.id, fullEpisodePath);
-        
-        return fullEpisodePath;
-      } else {
-        logger.warn(`Full episode file not found for ${baseFilename}, using transcript file as fallback`);
-        // Fallback to transcript file if full episode not found
-        return await this.downloadFile(transcriptFile);
+    }
+    return item.vocabulary;
+  }
+
+  // Which boosted names made it into the transcript, to tell whether the vocabulary helps
+  async reportVocabulary(episode, vocabulary, transcript) {
+    const report = this.vocabularyBuilder.report(vocabulary, transcript);
+
+    await this.dataLogger.saveArtifact(episode, 'vocabulary-report.json', {
+      ...report,
+      reportedAt: new Date().toISOString()
+    });
+    await this.dataLogger.updateMetadata(episode, {
+      vocabulary: { boosted: report.boosted, found: report.found.length }
+    });
+
+    logger.info(`Vocabulary: ${report.found.length}/${report.boosted} boosted term(s) found in the transcript`);
+  }
+
+  async getEpisodeSpeakers(episode) {
+    const transcript = await this.loadArtifact(episode, 'raw-transcript.json');
+    if (!transcript) {
+      throw Object.assign(new Error(`No transcript for ${describeEpisode(episode)}`), { status: 404 });
+    }
+
+    const saved = await this.loadArtifact(episode, 'speaker-map.json');
+    return {
+      podcast: episode.podcast,
+      season: episode.season,
+      episodeNumber: episode.number,
+      mapping: transcript.speakerMapping || {},
+      overrides: saved?.overrides || {},
+      speakers: (transcript.speakers || []).map(({ id, name, totalTime }) => ({ id, name, totalTime }))
+    };
+  }
+
+  // Save manual names ({ label: name }, an empty name drops the override) and rewrite the transcript files.
+  // Extracted content is only affected once the job is retried from its extraction step.
+  async setSpeakerOverrides(episode, overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides) ||
+      Object.values(overrides).some(name => name !== null && typeof name !== 'string')) {
+      throw Object.assign(new Error('Expected overrides as { "A": "Name", ... }'), { status: 400 });
+    }
+
+    const transcript = await this.loadArtifact(episode, 'raw-transcript.json');
+    if (!transcript) {
+      throw Object.assign(new Error(`No transcript for ${describeEpisode(episode)}`), { status: 404 });
+    }
+
+    const saved = await this.loadArtifact(episode, 'speaker-map.json');
+    const merged = Object.fromEntries(
+      Object.entries({ ...saved?.overrides, ...overrides }).filter(([, name]) => name)
+    );
+    await this.dataLogger.saveArtifact(episode, 'speaker-map.json', {
+      overrides: merged,
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.nameSpeakers(episode.podcast, episode, transcript);
+    await this.dataLogger.logRawTranscript(episode, transcript);
+
+    return await this.getEpisodeSpeakers(episode);
+  }
+
+  // Applies the episode's edited titles (chapter-titles.json) and regenerates the markdown and chapters.json
+  async applyChapterTitles(episode, content) {
+    if (!content.chapters) {
+      return content;
+    }
+
+    const saved = await this.loadArtifact(episode, 'chapter-titles.json');
+    content.chapters = this.chapterBuilder.applyTitles(content.chapters, saved?.titles);
+    content.markdownContent = this.contentExtractor.generateMarkdown(content);
+
+    if (episode) {
+      await this.dataLogger.saveArtifact(episode, 'chapters.json', JSON.parse(this.chapterBuilder.toPodcastJson(content.chapters)));
+    }
+    return content;
+  }
+
+  async getEpisodeChapters(episode) {
+    const content = await this.loadArtifact(episode, 'extracted-content.json');
+    if (!content?.chapters) {
+      throw Object.assign(new Error(`No chapters for ${describeEpisode(episode)}`), { status: 404 });
+    }
+
+    const saved = await this.loadArtifact(episode, 'chapter-titles.json');
+    return { podcast: episode.podcast, season: episode.season, episodeNumber: episode.number, chapters: content.chapters, titles: saved?.titles || {} };
+  }
+
+  // Save edited titles ({ chapterId: title }, an empty title goes back to the generated one).
+  // Used as is when the episode is uploaded; a published episode needs a retry from its upload step.
+  async setChapterTitles(episode, titles) {
+    if (!titles || typeof titles !== 'object' || Array.isArray(titles) ||
+      Object.values(titles).some(title => title !== null && typeof title !== 'string')) {
+      throw Object.assign(new Error('Expected titles as { "track-1": "Title", ... }'), { status: 400 });
+    }
+
+    const content = await this.loadArtifact(episode, 'extracted-content.json');
+    if (!content?.chapters) {
+      throw Object.assign(new Error(`No chapters for ${describeEpisode(episode)}`), { status: 404 });
+    }
+
+    const unknown = Object.keys(titles).filter(id => !content.chapters.some(chapter => chapter.id === id));
+    if (unknown.length > 0) {
+      throw Object.assign(new Error(`Unknown chapter(s): ${unknown.join(', ')}`), { status: 400 });
+    }
+
+    const saved = await this.loadArtifact(episode, 'chapter-titles.json');
+    const merged = Object.fromEntries(
+      Object.entries({ ...saved?.titles, ...titles }).filter(([, title]) => title?.trim())
+    );
+    await this.dataLogger.saveArtifact(episode, 'chapter-titles.json', {
+      titles: merged,
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.applyChapterTitles(episode, content);
+    await this.dataLogger.logExtractedContent(episode, content);
+
+    return await this.getEpisodeChapters(episode);
+  }
+
+  // Extracts an episode's content again from its saved transcript (raw-transcript.json), through the
+  // extraction cache unless refresh is set, and rewrites extracted-content.json and the page.
+  // Catalog enrichment and link verification are not redone: they are marked as not done,
+  // so retrying the episode's job from `enrichment` completes the new content.
+  async regenerateEpisode(episode, { refresh = false } = {}) {
+    const transcript = await this.loadArtifact(episode, 'raw-transcript.json');
+    if (!transcript) {
+      throw Object.assign(new Error(`No transcript for ${describeEpisode(episode)}`), { status: 404 });
+    }
+    const metadata = await this.dataLogger.getMetadata(episode);
+    if (!metadata?.filename) {
+      throw Object.assign(new Error(`No source filename recorded for ${describeEpisode(episode)}`), { status: 409 });
+    }
+
+    let content = await this.contentExtractor.extract(transcript, metadata.filename, episode.podcast, { refresh });
+    if (!content.fallback) {
+      content = new MentionLocator(transcript).annotate(content);
+      content.chapters = this.chapterBuilder.build(transcript, content, await this.loadArtifact(episode, 'timeline.json'));
+      await this.applyChapterTitles(episode, content);
+    }
+
+    await this.dataLogger.logExtractedContent(episode, content);
+    await this.recordCache(episode, 'extraction', content.cache);
+    await this.dataLogger.updateStep(episode, 'enrichment', false);
+    await this.dataLogger.updateStep(episode, 'verification', false);
+    await this.dataLogger.updateMetadata(episode, {
+      extractionAttempts: content.extractionAttempts ?? null,
+      publishBlocked: !!content.publishBlocked
+    });
+
+    logger.info(`Regenerated ${describeEpisode(episode)}${content.cache?.hit ? ' from the extraction cache' : ''}`);
+    return {
+      podcast: episode.podcast,
+      season: episode.season,
+      episodeNumber: episode.number,
+      title: content.title,
+      tracks: content.tracks?.length || 0,
+      chapters: content.chapters?.length || 0,
+      fallback: !!content.fallback,
+      cacheHit: !!content.cache?.hit,
+      markdownContent: content.markdownContent
+    };
+  }
+
+  // Tracks whose catalog match was too doubtful to apply, with the proposed values
+  async getCatalogReview(episode) {
+    const content = await this.loadArtifact(episode, 'extracted-content.json');
+    if (!content) {
+      throw Object.assign(new Error(`No extracted content for ${describeEpisode(episode)}`), { status: 404 });
+    }
+
+    const tracks = (content.tracks || [])
+      .map((track, index) => ({ index, artist: track.artist, title: track.title, catalog: track.catalog }))
+      .filter(track => track.catalog?.status === 'review');
+    return { podcast: episode.podcast, season: episode.season, episodeNumber: episode.number, tracks };
+  }
+
+  // Apply a match left for review to the track (by its position in the tracklist) and regenerate the markdown.
+  // Like edited chapter titles, a published episode needs a retry from its upload step.
+  async acceptCatalogMatch(episode, trackIndex) {
+    const content = await this.loadArtifact(episode, 'extracted-content.json');
+    const track = content?.tracks?.[trackIndex];
+    if (!track) {
+      throw Object.assign(new Error(`No track ${trackIndex} in ${describeEpisode(episode)}`), { status: 404 });
+    }
+
+    content.tracks[trackIndex] = this.trackEnricher.accept(track);
+    content.markdownContent = this.contentExtractor.generateMarkdown(content);
+    await this.dataLogger.logExtractedContent(episode, content);
+
+    const metadata = await this.dataLogger.getMetadata(episode);
+    if (metadata?.enrichment && !metadata.enrichment.skipped) {
+      const count = status => content.tracks.filter(item => item.catalog?.status === status).length;
+      await this.dataLogger.updateMetadata(episode, {
+        enrichment: { ...metadata.enrichment, review: count('review'), accepted: count('accepted') }
+      });
+    }
+
+    logger.info(`Accepted the catalog match of "${track.artist} - ${track.title}" in ${describeEpisode(episode)}`);
+    return content.tracks[trackIndex];
+  }
+
+  // The job's episode ({ podcast, season, number }, see episodeRef.js), null when its filename has no number
+  episodeOf(item) {
+    return item.episodeNumber ? { podcast: item.podcast, season: item.season ?? null, number: item.episodeNumber } : null;
+  }
+
+  async loadArtifact(episode, filename) {
+    if (!episode) {
+      return null;
+    }
+    return await this.dataLogger.loadArtifact(episode, filename);
+  }
+
+  // One look at the source: resolves to the full mix once it exists and neither file is still being
+  // uploaded, or null while waiting (the job is parked meanwhile, see checkCompanion).
+  // Publishing the voice track instead is never an option.
+  async findCompanion(item) {
+    const source = this.getSource(item);
+    const grammar = getFilenameGrammar(item.podcast);
+
+    // Persisted with the job so a restart doesn't extend the timeout
+    item.pairingStartedAt = item.pairingStartedAt || new Date().toISOString();
+    const deadline = new Date(item.pairingStartedAt).getTime() + PAIRING_TIMEOUT_MS;
+    // { fileId: { size, since } }, kept between checks to tell when the uploads stopped
+    const observedSizes = item.pairingSizes || {};
+
+    const files = await source.listFiles();
+    const voiceTrack = files.find(file => file.id === item.file.id);
+
+    if (!voiceTrack) {
+      const error = new Error(`Voice track ${item.file.name} disappeared before its full mix was found`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const fullMix = files.find(file =>
+      file.id !== voiceTrack.id && grammar.isCompanion(voiceTrack.name, file.name, 'full')
+    );
+
+    const now = Date.now();
+    const settled = [voiceTrack, fullMix].filter(Boolean).map(file => {
+      const observed = observedSizes[file.id];
+      if (!observed || observed.size !== file.size) {
+        observedSizes[file.id] = { size: file.size, since: now };
+        return false;
       }
-      
-    } catch (error) {
-      logger.error(`Error finding full episode file:`, error);
-      logger.warn(`Using transcript file as fallback`);
-      return await this.downloadFile(transcriptFile);
+      return now - observed.since >= PAIRING_STABLE_MS;
+    });
+    item.pairingSizes = observedSizes;
+
+    if (fullMix && settled.every(Boolean)) {
+      item.file = voiceTrack;
+      return fullMix;
+    }
+
+    if (now >= deadline) {
+      const reason = fullMix
+        ? `${fullMix.name} was still changing size`
+        : 'no full mix was found';
+      const error = new Error(
+        `Pairing timed out for ${voiceTrack.name} after ${Math.round(PAIRING_TIMEOUT_MS / 60000)} minutes: ${reason}. Not publishing the voice track.`
+      );
+      error.permanent = true;
+      throw error;
+    }
+
+    const waitingFor = fullMix
+      ? `Waiting for uploads of ${voiceTrack.name} and ${fullMix.name} to finish`
+      : `Waiting for the full mix of ${voiceTrack.name}`;
+    logger.log(waitingFor === item.pairingWaitingFor ? 'debug' : 'info', waitingFor);
+    item.pairingWaitingFor = waitingFor;
+
+    return null;
+  }
+
+  async findFullEpisodeFile(item, signal) {
+    if (!item.companion) {
+      throw new Error(`No full mix paired with ${item.file.name}`);
     }
+
+    // Analysis already fetched it
+    if (item.companionPath && await fs.pathExists(item.companionPath)) {
+      return item.companionPath;
+    }
+
+    logger.info(`Using full episode file: ${item.companion.name}`);
+    item.companionPath = await this.downloadFile(item, item.companion, signal);
+    return item.companionPath;
   }
 
-  async downloadFile(file) {
-    const tempDir = './temp';
-    const fs = await import('fs-extra');
-    
-    // Ensure temp directory exists
-    await fs.ensureDir(tempDir);
-    
-    const tempPath = `${tempDir}/castsmith-${file.id}-${file.name}`;
+  async downloadFile(item, file, signal) {
+    const tempPath = tempPathFor(file);
+    await ensureSpaceFor(file, tempPath);
+
+    // Remembered so the retention policy can find them once the job is done
+    item.tempFiles = [...new Set([...(item.tempFiles || []), tempPath])];
     logger.debug(`Downloading ${file.name} to: ${tempPath}`);
     
-    await this.driveWatcher.downloadFile(file.id, tempPath);
+    await this.getSource(item).downloadFile(file, tempPath, { signal });
     return tempPath;
   }
 
-  async cleanup(filePath) {
+  // Apply the temp retention policy to a finished job, then sweep expired files of older jobs
+  async cleanup(item) {
     try {
-      // Clean up temporary files
-      logger.debug(`Cleaning up: ${filePath}`);
-      // fs.unlinkSync(filePath);
+      if (item.tempFiles?.length > 0) {
+        if (shouldCleanup(item.status)) {
+          logger.debug(`Cleaning up temp files of ${item.file.name}`);
+          await removeTempFiles(item.tempFiles);
+          item.tempFiles = [];
+        } else {
+          logger.info(`Keeping temp files of ${item.file.name} (${item.status}): ${item.tempFiles.join(', ')}`);
+        }
+      }
+
+      const inUse = this.jobs
+        .filter(job => !FINISHED_STATUSES.includes(job.status))
+        .flatMap(job => job.tempFiles || []);
+      await pruneTempDir(inUse);
     } catch (error) {
-      logger.warn(`Cleanup failed for ${filePath}:`, error);
+      logger.warn(`Cleanup failed for ${item.file.name}:`, error);
     }
   }
 
@@ -221,13 +1425,14 @@ export class ProcessingQueue {
     return {
       queueLength: this.queue.length,
       processing: this.processing,
-      items: this.queue.map(item => ({
-        id: item.id,
-        filename: item.file.name,
-        status: item.status,
-        steps: item.steps,
-        addedAt: item.addedAt
-      }))
+      awaitingTranscript: this.jobs.filter(job => job.status === AWAITING_TRANSCRIPT).map(item => this.describeJob(item)),
+      awaitingCompanion: this.jobs.filter(job => job.status === AWAITING_COMPANION).map(item => this.describeJob(item)),
+      awaitingReview: this.jobs.filter(job => job.status === AWAITING_REVIEW).map(item => this.describeJob(item)),
+      active: [...this.active].map(item => this.describeJob(item)),
+      items: this.queue.map(item => this.describeJob(item)),
+      stages: Object.fromEntries(
+        Object.entries(this.stageLimiters).map(([step, limiter]) => [step, limiter.getStatus()])
+      )
     };
   }
 }
\ No newline at end of file
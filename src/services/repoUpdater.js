@@ -2,28 +2,38 @@ import simpleGit from 'simple-git';
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { StageLimiter } from '../utils/stageLimiter.js';
+import { episodeSlug, describeEpisode } from '../utils/episodeRef.js';
 
 export class RepoUpdater {
   constructor() {
     this.repoPath = process.env.ASTROPOD_REPO_PATH || '../astropod';
     this.repoUrl = process.env.ASTROPOD_REPO_URL;
     this.git = simpleGit(this.repoPath);
+    // Pull, write, commit and push never interleave between concurrent callers
+    this.gitLimiter = new StageLimiter({ concurrency: 1 });
   }
 
-  async updateRepo(extractedContent, uploadedUrls) {
+  // Resolves to the name of the episode page written in the repository
+  async updateRepo(extractedContent, uploadedUrls, { signal } = {}) {
+    return this.gitLimiter.run(() => this.applyUpdate(extractedContent, uploadedUrls), { signal });
+  }
+
+  async applyUpdate(extractedContent, uploadedUrls) {
     try {
-      logger.info(`Updating repository for episode ${extractedContent.episodeNumber}`);
+      logger.info(`Updating repository for ${describeEpisode(this.episodeOf(extractedContent))}`);
       
       // Ensure repo exists and is up to date
       await this.ensureRepo();
       
       // Create the episode markdown file
-      await this.createEpisodeFile(extractedContent, uploadedUrls);
+      const filename = await this.createEpisodeFile(extractedContent, uploadedUrls);
       
       // Commit and push changes
       await this.commitChanges(extractedContent);
       
       logger.info('Repository update completed');
+      return filename;
       
     } catch (error) {
       logger.error('Repository update failed:', error);
@@ -56,19 +66,27 @@ export class RepoUpdater {
 
   async createEpisodeFile(extractedContent, uploadedUrls) {
     try {
-      const episodeNumber = extractedContent.episodeNumber;
-      const paddedNumber = episodeNumber.toString().padStart(2, '0');
-      
-      // Generate filename
-      const filename = `${paddedNumber}-${this.slugify(extractedContent.title)}.md`;
+      // Generate filename, starting with the podcast so shows sharing the site don't overwrite each other's pages
+      const filename = `${episodeSlug(this.episodeOf(extractedContent))}-${this.slugify(extractedContent.title)}.md`;
       const episodePath = path.join(this.repoPath, 'src', 'content', 'episode', filename);
       
       // Update markdown content with actual URLs and file size
       let markdownContent = extractedContent.markdownContent;
       
-      // Replace placeholder URL with actual R2 URL
+      // Replace placeholder URL with actual R2 URL (the frontmatter and every timestamp link)
       if (uploadedUrls.audioUrl) {
-        markdownContent = markdownContent.replace('TO_BE_REPLACED_WITH_R2_URL', uploadedUrls.audioUrl);
+        markdownContent = markdownContent.replaceAll('TO_BE_REPLACED_WITH_R2_URL', uploadedUrls.audioUrl);
+      }
+      
+      if (uploadedUrls.transcripts?.length > 0) {
+        markdownContent = this.addTranscripts(markdownContent, uploadedUrls.transcripts);
+      }
+      if (uploadedUrls.chaptersUrl) {
+        markdownContent = this.addToFrontmatter(markdownContent, [
+          'chapters:',
+          `  url: "${uploadedUrls.chaptersUrl}"`,
+          '  type: "application/json+chapters"'
+        ].join('\n'));
       }
       
       // Calculate and replace file size (we'll need this from the storage service)
@@ -92,9 +110,27 @@ export class RepoUpdater {
     }
   }
 
+  // Appends a `transcripts` list (Podcasting 2.0 podcast:transcript attributes) to the frontmatter
+  addTranscripts(markdownContent, transcripts) {
+    const entries = transcripts.map(transcript => [
+      `  - url: "${transcript.url}"`,
+      `    type: "${transcript.type}"`,
+      ...(transcript.language ? [`    language: "${transcript.language}"`] : []),
+      // Timed cue files can be shown as closed captions
+      ...(transcript.format === 'json' ? [] : ['    rel: "captions"'])
+    ].join('\n'));
+
+    return this.addToFrontmatter(markdownContent, `transcripts:\n${entries.join('\n')}`);
+  }
+
+  // Appends YAML lines at the end of the frontmatter
+  addToFrontmatter(markdownContent, yaml) {
+    return markdownContent.replace(/^(---\n[\s\S]*?\n)---/, (match, frontmatter) => `${frontmatter}${yaml}\n---`);
+  }
+
   async commitChanges(extractedContent) {
     try {
-      const episodeNumber = extractedContent.episodeNumber;
+      const episode = this.episodeOf(extractedContent);
       
       // Add all changes
       await this.git.add('.');
@@ -102,12 +138,18 @@ export class RepoUpdater {
       // Check if there are changes to commit
       const status = await this.git.status();
       if (status.files.length === 0) {
+        if (status.ahead > 0) {
+          // A previous attempt committed but failed to push
+          logger.info('No new changes, pushing commits left by a previous attempt');
+          await this.git.push('origin', 'main');
+          return;
+        }
         logger.info('No changes to commit');
         return;
       }
       
       // Commit with descriptive message
-      const commitMessage = `Add episode ${episodeNumber}: ${extractedContent.title}
+      const commitMessage = `Add ${describeEpisode(episode)}: ${extractedContent.title}
 
 🔨 Generated with CastSmith automation
 
@@ -188,14 +230,18 @@ Generated automatically from Google Drive upload.`;
     }
   }
 
+  // The episode of the extracted content ({ podcast, season, number }, see episodeRef.js)
+  episodeOf(extractedContent) {
+    return { podcast: extractedContent.podcast, season: extractedContent.season ?? null, number: extractedContent.episodeNumber };
+  }
+
   // Helper to check if episode already exists
-  async episodeExists(episodeNumber) {
+  async episodeExists(episode) {
     try {
       const episodesDir = path.join(this.repoPath, 'src', 'content', 'episode');
       const files = await fs.readdir(episodesDir);
       
-      const paddedNumber = episodeNumber.toString().padStart(2, '0');
-      return files.some(file => file.startsWith(paddedNumber + '-'));
+      return files.some(file => file.startsWith(`${episodeSlug(episode)}-`));
       
     } catch (error) {
       logger.warn('Could not check if episode exists:', error);
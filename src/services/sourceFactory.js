@@ -0,0 +1,26 @@
+import { DriveWatcher } from './driveWatcher.js';
+import { FolderWatcher } from './folderWatcher.js';
+
+// An ingest source watches one location for a podcast and hands new files to the queue.
+// Every source implements:
+//   checkForNewFiles()              detect new files and add them to the processing queue
+//   listFiles()                     all audio files currently in the source
+//   downloadFile(file, outputPath, { signal })
+//                                   copy a file to local disk, resolves to outputPath
+//   getLastCheckTime()
+const SOURCE_TYPES = {
+  drive: DriveWatcher,
+  local: FolderWatcher
+};
+
+export function createSource(podcast, processingQueue) {
+  const Source = SOURCE_TYPES[podcast.source.type];
+
+  if (!Source) {
+    throw new Error(`Unknown ingest source type "${podcast.source.type}" for podcast ${podcast.name}`);
+  }
+
+  const source = new Source(podcast, processingQueue);
+  processingQueue.registerSource(podcast.name, source);
+  return source;
+}
@@ -0,0 +1,162 @@
+import { normalize, containsWord } from '../utils/textMatch.js';
+
+// Self-introductions, French and English; {name} is replaced by a roster name or alias
+const INTRODUCTION_PATTERNS = [
+  "je suis {name}",
+  "je m'appelle {name}",
+  "moi c'est {name}",
+  "ici {name}",
+  "c'est {name} au micro",
+  "i'm {name}",
+  "i am {name}",
+  "my name is {name}",
+  "this is {name}"
+];
+
+// Evidence weights: a speaker introducing themselves beats being the first voice of the show,
+// which beats being answered right after someone says your name
+const WEIGHTS = {
+  introduction: 3,
+  opener: 2,
+  addressed: 1,
+  // Talking about someone makes it less likely that you are them
+  mentions: -0.5
+};
+
+// How far from the end of an utterance a name still counts as handing over ("... merci Antoine")
+const ADDRESS_WINDOW = 60;
+
+// Maps diarization labels (A, B, C...) to the names in a podcast's roster.
+// A roster entry is { name, aliases?: [], role?: 'host' | 'cohost' | 'guest', opensShow?: true }.
+export class SpeakerMapper {
+  constructor(roster = []) {
+    this.roster = roster.map(member => ({
+      ...member,
+      terms: [member.name, ...(member.aliases || [])].map(normalize)
+    }));
+  }
+
+  // Adds `speakerNames` ({ label: name }) and `speakerMapping` ({ label: { name, method, score } })
+  // to the transcript and a `name` to each of its speakers. Overrides ({ label: name }) always win.
+  apply(transcript, overrides = {}) {
+    const mapping = this.map(transcript.timestamps || [], overrides);
+
+    transcript.speakerMapping = mapping;
+    transcript.speakerNames = Object.fromEntries(
+      Object.entries(mapping).map(([label, { name }]) => [label, name])
+    );
+    for (const speaker of transcript.speakers || []) {
+      speaker.name = transcript.speakerNames[speaker.id] || null;
+    }
+
+    return transcript;
+  }
+
+  map(utterances, overrides = {}) {
+    const labels = [...new Set(utterances.map(utterance => utterance.speaker))];
+    const mapping = {};
+
+    for (const [label, name] of Object.entries(overrides)) {
+      if (name) {
+        mapping[label] = { name, method: 'override', score: null };
+      }
+    }
+
+    // Without diarization everything is one label, and naming it after the host would be wrong
+    if (labels.length < 2 || this.roster.length === 0) {
+      return mapping;
+    }
+
+    const candidates = this.score(utterances)
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+    const taken = new Set(Object.values(mapping).map(entry => normalize(entry.name)));
+
+    // Greedy: the strongest evidence claims its label and name first
+    for (const candidate of candidates) {
+      if (mapping[candidate.label] || taken.has(normalize(candidate.name))) {
+        continue;
+      }
+      mapping[candidate.label] = { name: candidate.name, method: candidate.method, score: candidate.score };
+      taken.add(normalize(candidate.name));
+    }
+
+    for (const label of labels) {
+      if (!mapping[label]) {
+        mapping[label] = { name: `Speaker ${label}`, method: 'unmapped', score: null };
+      }
+    }
+
+    return mapping;
+  }
+
+  score(utterances) {
+    const scores = new Map();
+    const vote = (label, member, method) => {
+      const key = `${label}\u0000${member.name}`;
+      const entry = scores.get(key) || { label, name: member.name, score: 0, method: null, best: -Infinity };
+      entry.score += WEIGHTS[method];
+      // Report the strongest kind of evidence found
+      if (WEIGHTS[method] > entry.best) {
+        entry.best = WEIGHTS[method];
+        entry.method = method;
+      }
+      scores.set(key, entry);
+    };
+
+    const opener = this.roster.find(member => member.opensShow) ||
+      this.roster.find(member => member.role === 'host');
+    if (opener && utterances.length > 0) {
+      vote(utterances[0].speaker, opener, 'opener');
+    }
+
+    utterances.forEach((utterance, index) => {
+      const text = normalize(utterance.text || '');
+      const next = utterances.slice(index + 1).find(other => other.speaker !== utterance.speaker);
+
+      for (const member of this.roster) {
+        const term = member.terms.find(candidate => containsWord(text, candidate));
+        if (!term) {
+          continue;
+        }
+
+        if (INTRODUCTION_PATTERNS.some(pattern => containsWord(text, normalize(pattern.replace('{name}', term))))) {
+          vote(utterance.speaker, member, 'introduction');
+          continue;
+        }
+
+        vote(utterance.speaker, member, 'mentions');
+
+        if (next && text.lastIndexOf(term) >= text.length - term.length - ADDRESS_WINDOW) {
+          vote(next.speaker, member, 'addressed');
+        }
+      }
+    });
+
+    return [...scores.values()].map(({ best: _best, ...candidate }) => candidate);
+  }
+}
+
+// The transcript as "Name: text" paragraphs when speakers are named, the plain text otherwise
+export function formatTranscript(transcript) {
+  const names = transcript.speakerNames || {};
+  const utterances = transcript.timestamps || [];
+
+  if (Object.keys(names).length === 0 || utterances.length === 0) {
+    return transcript.text;
+  }
+
+  const paragraphs = [];
+  for (const utterance of utterances) {
+    const name = names[utterance.speaker] || `Speaker ${utterance.speaker}`;
+    const previous = paragraphs[paragraphs.length - 1];
+
+    if (previous && previous.name === name) {
+      previous.text += ` ${utterance.text}`;
+    } else {
+      paragraphs.push({ name, text: utterance.text });
+    }
+  }
+
+  return paragraphs.map(({ name, text }) => `${name}: ${text}`).join('\n\n');
+}
@@ -2,6 +2,7 @@ import { S3Client, PutObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { episodeSlug, describeEpisode } from '../utils/episodeRef.js';
 
 export class StorageService {
   constructor() {
@@ -18,19 +19,19 @@ export class StorageService {
     this.publicUrl = process.env.R2_PUBLIC_URL;
   }
 
-  async uploadFiles(audioFilePath, episodeNumber) {
+  // Keys start with the episode slug (see episodeRef.js): cosmic-07.mp3, or cosmic-s2e07.mp3 in a season
+  async uploadFiles(audioFilePath, episode, { signal } = {}) {
     try {
-      logger.info(`Starting file upload for episode ${episodeNumber}`);
+      logger.info(`Starting file upload for ${describeEpisode(episode)}`);
       
       const results = {};
       
       // Upload main audio file (without -no-mix suffix, not capitalized)
-      const podcastName = process.env.PODCAST_NAME || 'podcast';
-      const audioKey = `${podcastName}-${episodeNumber.toString().padStart(2, '0')}.mp3`;
-      results.audioUrl = await this.uploadFile(audioFilePath, audioKey);
+      const audioKey = `${episodeSlug(episode)}.mp3`;
+      results.audioUrl = await this.uploadFile(audioFilePath, audioKey, { signal });
       
       // TODO: If we have FLAC version, upload that too
-      // const flacKey = `${podcastName}-${episodeNumber.toString().padStart(2, '0')}.flac`;
+      // const flacKey = `${episodeSlug(episode)}.flac`;
       // results.flacUrl = await this.uploadFile(flacFilePath, flacKey);
       
       logger.info('File upload completed');
@@ -42,7 +43,8 @@ export class StorageService {
     }
   }
 
-  async uploadFile(filePath, key) {
+  // A cancelled job's signal aborts the request
+  async uploadFile(filePath, key, { signal } = {}) {
     try {
       logger.debug(`Uploading ${filePath} as ${key}`);
       
@@ -77,7 +79,7 @@ export class StorageService {
       }
 
       const command = new PutObjectCommand(uploadParams);
-      await this.s3Client.send(command);
+      await this.s3Client.send(command, { abortSignal: signal });
       
       const publicUrl = `${this.publicUrl}/${key}`;
       logger.info(`File uploaded successfully: ${publicUrl}`);
@@ -90,6 +92,56 @@ export class StorageService {
     }
   }
 
+  // Transcript exports from TranscriptExporter.render(), stored next to the audio
+  // (cosmic-12.srt, cosmic-12.vtt, cosmic-12.json). Resolves to [{ format, type, url }].
+  async uploadTranscripts(files, episode, { signal } = {}) {
+    const transcripts = [];
+
+    for (const file of files) {
+      const key = `${episodeSlug(episode)}.${file.format}`;
+      const url = await this.uploadContent(file.content, key, `${file.type}; charset=utf-8`, { signal });
+      transcripts.push({ format: file.format, type: file.type, url });
+    }
+
+    logger.info(`Uploaded ${transcripts.length} transcript file(s) for ${describeEpisode(episode)}`);
+    return transcripts;
+  }
+
+  // Podcasting 2.0 chapters, next to the audio (cosmic-12.chapters.json)
+  async uploadChapters(content, episode, { signal } = {}) {
+    const key = `${episodeSlug(episode)}.chapters.json`;
+    return await this.uploadContent(content, key, 'application/json+chapters; charset=utf-8', { signal });
+  }
+
+  // Same as uploadFile, for content generated in memory
+  async uploadContent(content, key, contentType, { signal } = {}) {
+    try {
+      logger.debug(`Uploading generated content as ${key}`);
+
+      const body = Buffer.from(content, 'utf8');
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: body.length,
+        Metadata: {
+          'uploaded-by': 'castsmith',
+          'upload-date': new Date().toISOString()
+        }
+      }), { abortSignal: signal });
+
+      const publicUrl = `${this.publicUrl}/${key}`;
+      logger.info(`File uploaded successfully: ${publicUrl}`);
+
+      return publicUrl;
+
+    } catch (error) {
+      logger.error(`Failed to upload ${key}:`, error);
+      throw error;
+    }
+  }
+
   async fileExists(key) {
     try {
       const command = new HeadObjectCommand({
@@ -135,28 +187,22 @@ export class StorageService {
   }
 
   // Generate the episode URL format expected by Astropod
-  generateEpisodeUrl(episodeNumber) {
-    const podcastName = process.env.PODCAST_NAME || 'podcast';
-    const paddedNumber = episodeNumber.toString().padStart(2, '0');
-    return `${this.publicUrl}/${podcastName}-${paddedNumber}.mp3`;
+  generateEpisodeUrl(episode) {
+    return `${this.publicUrl}/${episodeSlug(episode)}.mp3`;
   }
 
   // Check if episode already exists (to avoid re-uploading)
-  async episodeExists(episodeNumber) {
-    const podcastName = process.env.PODCAST_NAME || 'podcast';
-    const key = `${podcastName}-${episodeNumber.toString().padStart(2, '0')}.mp3`;
-    return await this.fileExists(key);
+  async episodeExists(episode) {
+    return await this.fileExists(`${episodeSlug(episode)}.mp3`);
   }
 
   // Batch upload multiple formats
-  async uploadMultipleFormats(files, episodeNumber) {
+  async uploadMultipleFormats(files, episode) {
     const results = {};
-    const podcastName = process.env.PODCAST_NAME || 'podcast';
-    const paddedNumber = episodeNumber.toString().padStart(2, '0');
     
     for (const [format, filePath] of Object.entries(files)) {
       if (filePath && await fs.pathExists(filePath)) {
-        const key = `${podcastName}-${paddedNumber}.${format}`;
+        const key = `${episodeSlug(episode)}.${format}`;
         results[`${format}Url`] = await this.uploadFile(filePath, key);
       }
     }
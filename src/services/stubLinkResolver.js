@@ -0,0 +1,30 @@
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+
+// Link resolver answering from a local JSON file, for development without network or API key
+// (see linkVerifier.js for the resolver interface). The file looks like:
+//   { "links": { "<url>": { "title": "...", "author": "..." } },
+//     "searches": { "<artist> <title>": [{ "url": "...", "title": "...", "author": "..." }] } }
+// Links and searches missing from it are dead links and empty results.
+export class StubLinkResolver {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.file = options.file || process.env.LINK_STUB_FILE;
+    this.data = { links: {}, searches: {} };
+
+    if (this.file && fs.pathExistsSync(this.file)) {
+      this.data = { ...this.data, ...fs.readJsonSync(this.file) };
+    } else {
+      logger.warn(`No LINK_STUB_FILE found${this.file ? ` at ${this.file}` : ''}, every link will be unverified`);
+    }
+  }
+
+  async lookup(url) {
+    const entry = this.data.links[url];
+    return entry ? { url, ...entry } : null;
+  }
+
+  async search(query) {
+    return this.data.searches[query] || [];
+  }
+}
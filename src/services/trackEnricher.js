@@ -0,0 +1,150 @@
+import { logger } from '../utils/logger.js';
+import { normalize } from '../utils/textMatch.js';
+import { MusicBrainzCatalog } from './musicBrainzCatalog.js';
+import { FixtureCatalog } from './fixtureCatalog.js';
+
+// A catalog adapter implements:
+//   name                              recorded with each match
+//   search({ artist, title }, { signal })
+//                                     resolves to candidates [{ id, artist, title, release, label, year, isrc, genre }],
+//                                     unknown fields being null; throws on network and API errors
+//   details(candidate, { signal })    optional, completes the chosen candidate (when search results are partial)
+const CATALOGS = {
+  musicbrainz: MusicBrainzCatalog,
+  fixture: FixtureCatalog
+};
+
+// Below this, a match is only proposed for review and the extracted values stay
+const MIN_CONFIDENCE = parseFloat(process.env.ENRICHMENT_MIN_CONFIDENCE || '0.8');
+
+const TITLE_WEIGHT = 0.6;
+
+// Fields a catalog match fills in or corrects
+const FIELDS = ['label', 'year', 'release', 'isrc', 'genre'];
+
+// Looks each extracted track up in a music catalog. A confident match replaces what Claude
+// guessed (the old values are kept under catalog.previous); a doubtful one is attached as
+// catalog.candidate for someone to accept, see accept().
+export class TrackEnricher {
+  constructor(catalogName = process.env.CATALOG || 'musicbrainz') {
+    const Catalog = CATALOGS[catalogName];
+    if (!Catalog) {
+      throw new Error(`Unknown catalog "${catalogName}" (expected one of: ${Object.keys(CATALOGS).join(', ')})`);
+    }
+    this.catalog = new Catalog();
+  }
+
+  // Resolves to { tracks, report }: copies of the tracks with their `catalog` match,
+  // and the report saved as catalog-matches.json
+  async enrich(tracks, { signal } = {}) {
+    const results = [];
+    for (const track of tracks) {
+      signal?.throwIfAborted();
+      results.push(await this.match(track, signal));
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = { applied: count('applied'), review: count('review'), unmatched: count('unmatched') };
+    logger.info(`Catalog: ${summary.applied} matched, ${summary.review} to review, ${summary.unmatched} unmatched (${this.catalog.name})`);
+
+    return {
+      tracks: tracks.map((track, index) => this.withMatch(track, results[index])),
+      report: {
+        catalog: this.catalog.name,
+        minConfidence: MIN_CONFIDENCE,
+        summary,
+        tracks: results.map((result, index) => ({ artist: tracks[index].artist, title: tracks[index].title, ...result })),
+        enrichedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  // { status: 'applied' | 'review' | 'unmatched', confidence, candidate }
+  async match(track, signal) {
+    if (!track.artist || !track.title) {
+      return { status: 'unmatched', confidence: 0, candidate: null };
+    }
+
+    const candidates = await this.catalog.search({ artist: track.artist, title: track.title }, { signal });
+    const best = candidates
+      .map(candidate => ({ candidate, confidence: this.confidence(track, candidate) }))
+      .sort((a, b) => b.confidence - a.confidence)[0];
+
+    if (!best || best.confidence === 0) {
+      return { status: 'unmatched', confidence: 0, candidate: null };
+    }
+
+    const candidate = this.catalog.details ? await this.catalog.details(best.candidate, { signal }) : best.candidate;
+    return {
+      status: best.confidence >= MIN_CONFIDENCE ? 'applied' : 'review',
+      confidence: best.confidence,
+      candidate: Object.fromEntries(['id', 'artist', 'title', ...FIELDS].map(field => [field, candidate[field] ?? null]))
+    };
+  }
+
+  // How much the candidate's title and artist look like the track's, from 0 to 1. The title weighs
+  // more: the same track credited to another artist (a cover, or a wrong guess) still goes to review.
+  confidence(track, candidate) {
+    const title = similarity(track.title, candidate.title);
+    if (title === 0) {
+      return 0;
+    }
+    return Math.round((TITLE_WEIGHT * title + (1 - TITLE_WEIGHT) * similarity(track.artist, candidate.artist)) * 100) / 100;
+  }
+
+  withMatch(track, { status, confidence, candidate }) {
+    const catalog = { source: this.catalog.name, status, confidence, id: candidate?.id || null };
+    if (status === 'applied') {
+      return applyCandidate(track, candidate, catalog);
+    }
+    return { ...track, catalog: status === 'review' ? { ...catalog, candidate } : catalog };
+  }
+
+  // A match left for review, applied by hand
+  accept(track) {
+    if (track.catalog?.status !== 'review') {
+      throw Object.assign(new Error(`"${track.artist} - ${track.title}" has no catalog match waiting for review`), { status: 409 });
+    }
+    const { candidate, ...catalog } = track.catalog;
+    return applyCandidate(track, candidate, { ...catalog, status: 'accepted', acceptedAt: new Date().toISOString() });
+  }
+}
+
+// Catalog values win over the extracted ones, which are kept in catalog.previous when they differ
+function applyCandidate(track, candidate, catalog) {
+  const updated = { ...track };
+  const previous = {};
+
+  for (const field of FIELDS) {
+    const value = candidate[field];
+    if (value && String(value) !== String(track[field] ?? '')) {
+      if (track[field]) {
+        previous[field] = track[field];
+      }
+      updated[field] = value;
+    }
+  }
+
+  updated.catalog = Object.keys(previous).length > 0 ? { ...catalog, previous } : catalog;
+  return updated;
+}
+
+// Dice coefficient of the two sets of words, leaving out bracketed mix names ("(Original Mix)")
+// and featured artists
+function similarity(a, b) {
+  const words = text => new Set(
+    normalize(text || '')
+      .replace(/\(.*?\)|\[.*?\]/g, ' ')
+      .replace(/\s(feat|ft)\.?\s.*$/, ' ')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+  );
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+
+  const common = [...left].filter(word => right.has(word)).length;
+  return 2 * common / (left.size + right.size);
+}
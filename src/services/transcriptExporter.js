@@ -0,0 +1,132 @@
+// Subtitle-sized cues: at most this long, and about two lines of text
+const MAX_CUE_MS = 7000;
+const MAX_CUE_CHARS = 84;
+// A sentence end closes the cue once it has been on screen this long
+const MIN_CUE_MS = 1500;
+
+// Exported files, in the order they are published
+const FORMATS = [
+  { format: 'srt', filename: 'transcript.srt', type: 'application/x-subrip' },
+  { format: 'vtt', filename: 'transcript.vtt', type: 'text/vtt' },
+  // Podcasting 2.0 transcript JSON (podcast:transcript)
+  { format: 'json', filename: 'transcript.json', type: 'application/json' }
+];
+
+// Turns a timed transcript into SRT, WebVTT and Podcasting 2.0 JSON, with speaker names when known
+export class TranscriptExporter {
+  // [{ format, filename, type, content }], or null when the transcript has no timings
+  render(transcript) {
+    const cues = this.buildCues(transcript);
+    if (cues.length === 0) {
+      return null;
+    }
+
+    const renderers = {
+      srt: () => this.toSrt(cues),
+      vtt: () => this.toVtt(cues),
+      json: () => this.toPodcastJson(cues)
+    };
+
+    return FORMATS.map(format => ({ ...format, content: renderers[format.format]() }));
+  }
+
+  buildCues(transcript) {
+    const names = transcript.speakerNames || {};
+    // Like transcript.txt: no speaker labels at all when nobody was named
+    const named = Object.keys(names).length > 0;
+
+    return (transcript.timestamps || []).flatMap(utterance => {
+      const speaker = named ? names[utterance.speaker] || `Speaker ${utterance.speaker}` : null;
+      return this.splitUtterance(utterance).map(cue => ({ ...cue, speaker }));
+    });
+  }
+
+  splitUtterance(utterance) {
+    const words = utterance.words?.length > 0 ? utterance.words : this.estimateWords(utterance);
+    const cues = [];
+    let current = null;
+
+    for (const word of words) {
+      if (current && (word.end - current.start > MAX_CUE_MS || current.text.length + word.text.length + 1 > MAX_CUE_CHARS)) {
+        cues.push(current);
+        current = null;
+      }
+
+      if (current) {
+        current.end = word.end;
+        current.text += ` ${word.text}`;
+      } else {
+        current = { start: word.start, end: word.end, text: word.text };
+      }
+
+      if (/[.!?…]$/.test(word.text) && current.end - current.start >= MIN_CUE_MS) {
+        cues.push(current);
+        current = null;
+      }
+    }
+
+    if (current) {
+      cues.push(current);
+    }
+    return cues;
+  }
+
+  // Without word timings (Whisper), spread the utterance over its words by length
+  estimateWords(utterance) {
+    const tokens = (utterance.text || '').split(/\s+/).filter(Boolean);
+    const totalLength = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+    const duration = utterance.end - utterance.start;
+    let time = utterance.start;
+
+    return tokens.map(token => {
+      const start = time;
+      time += duration * (token.length + 1) / totalLength;
+      return { text: token, start: Math.round(start), end: Math.round(time) };
+    });
+  }
+
+  toSrt(cues) {
+    return cues.map((cue, index) => [
+      index + 1,
+      `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+      cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  toVtt(cues) {
+    const body = cues.map(cue => [
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text)
+    ].join('\n')).join('\n\n');
+
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  toPodcastJson(cues) {
+    return JSON.stringify({
+      version: '1.0.0',
+      segments: cues.map(cue => ({
+        ...(cue.speaker ? { speaker: cue.speaker } : {}),
+        startTime: cue.start / 1000,
+        endTime: cue.end / 1000,
+        body: cue.text
+      }))
+    }, null, 2);
+  }
+}
+
+// HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+function formatTimestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const millis = total % 1000;
+  const pad = (value, length = 2) => value.toString().padStart(length, '0');
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
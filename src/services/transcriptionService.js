@@ -1,62 +1,51 @@
-import { AssemblyAI } from 'assemblyai';
 import { logger } from '../utils/logger.js';
-
+import { getPodcast } from '../utils/podcastConfig.js';
+import { getProfile } from '../utils/podcastProfile.js';
+import { ResultCache, hashFile, hashValue } from '../utils/resultCache.js';
+import { AssemblyAiTranscriber } from './assemblyAiTranscriber.js';
+import { WhisperTranscriber } from './whisperTranscriber.js';
+
+// A transcription provider implements:
+//   name                                   recorded with the transcript
+//   label                                  as shown in the page disclaimer
+//   settings                               options that change the result, part of the cache key
+//   transcribe(audioFilePath, { signal, vocabulary })
+//                                          resolves to { text, confidence, duration (s), utterances, raw }
+//                                          where utterances are { speaker, start, end (ms), text, confidence };
+//                                          vocabulary is a list of names to favour (see VocabularyBuilder)
+// and, to let a job wait for a callback instead of blocking (only AssemblyAI with webhooks):
+//   webhooksEnabled                        true when submit/getResult should be used
+//   submit(audioFilePath, { vocabulary })  resolves to { id }
+//   getResult(id)                          same result as transcribe, or null while still processing
+const PROVIDERS = {
+  assemblyai: AssemblyAiTranscriber,
+  whisper: WhisperTranscriber
+};
+
+// Picks each podcast's provider (its `transcription` config) and shapes every result the same way
 export class TranscriptionService {
   constructor() {
-    this.client = new AssemblyAI({
-      apiKey: process.env.ASSEMBLYAI_API_KEY
-    });
+    // One provider per podcast, created on first use
+    this.providers = new Map();
+    this.cache = new ResultCache('transcripts');
   }
 
-  async transcribe(audioFilePath) {
+  // refresh skips the cache lookup, the new transcript still replaces the cached one
+  async transcribe(audioFilePath, { podcast, signal, vocabulary = [], refresh = false } = {}) {
+    const provider = this.getProvider(podcast);
+
     try {
-      logger.info(`Starting transcription for: ${audioFilePath}`);
-
-      const config = {
-        audio_url: audioFilePath, // For local files, need to upload first
-        speaker_labels: true,
-        speakers_expected: 4, // Jerohm + 3 guests typical
-        punctuate: true,
-        format_text: true,
-        language_code: 'fr', // French podcast
-        boost_param: 'high', // Better for music discussions
-        filter_profanity: false // Keep authentic content
-      };
-
-      // If it's a local file, upload it first
-      if (!audioFilePath.startsWith('http')) {
-        logger.debug('Uploading local file to AssemblyAI...');
-        const uploadUrl = await this.client.files.upload(audioFilePath);
-        config.audio_url = uploadUrl;
+      const { key, transcript: cached } = await this.lookup(audioFilePath, { podcast, vocabulary, refresh });
+      if (cached) {
+        return cached;
       }
 
-      // Submit transcription job
-      const transcript = await this.client.transcripts.submit(config);
-      logger.info(`Transcription job submitted: ${transcript.id}`);
+      logger.info(`Starting transcription for: ${audioFilePath} (${provider.name})`);
 
-      // Poll for completion
-      const completedTranscript = await this.client.transcripts.waitUntilReady(transcript.id, {
-        pollingInterval: 5000, // Check every 5 seconds
-        pollingTimeout: 300000 // 5 minute timeout
-      });
-
-      if (completedTranscript.status === 'error') {
-        throw new Error(`Transcription failed: ${completedTranscript.error}`);
-      }
+      const transcript = await provider.transcribe(audioFilePath, { signal, vocabulary });
 
       logger.info('Transcription completed successfully');
-
-      // Structure the result
-      const result = {
-        text: completedTranscript.text,
-        confidence: completedTranscript.confidence,
-        speakers: this.extractSpeakers(completedTranscript.utterances),
-        duration: completedTranscript.audio_duration,
-        timestamps: completedTranscript.utterances || [],
-        raw: completedTranscript
-      };
-
-      return result;
+      return await this.store(key, this.formatResult(transcript, provider));
 
     } catch (error) {
       logger.error('Transcription failed:', error);
@@ -64,11 +53,94 @@ export class TranscriptionService {
     }
   }
 
+  usesWebhooks(podcastName) {
+    return !!this.getProvider(podcastName).webhooksEnabled;
+  }
+
+  async submit(audioFilePath, { podcast, vocabulary = [] } = {}) {
+    logger.info(`Submitting transcription for: ${audioFilePath}`);
+    return await this.getProvider(podcast).submit(audioFilePath, { vocabulary });
+  }
+
+  // null until the transcript is ready; cacheKey (from lookup) stores the finished transcript
+  async getResult(transcriptId, { podcast, cacheKey } = {}) {
+    const provider = this.getProvider(podcast);
+    const transcript = await provider.getResult(transcriptId);
+    if (!transcript) {
+      return null;
+    }
+
+    const result = this.formatResult(transcript, provider);
+    return cacheKey ? await this.store(cacheKey, result) : result;
+  }
+
+  // The cache key for this audio and these settings, and the cached transcript unless refresh is set.
+  // A cached transcript comes back with cache: { key, hit: true }.
+  async lookup(audioFilePath, { podcast, vocabulary = [], refresh = false } = {}) {
+    const provider = this.getProvider(podcast);
+    const key = hashValue({
+      audio: await hashFile(audioFilePath),
+      provider: provider.name,
+      settings: provider.settings,
+      vocabulary
+    });
+
+    const cached = refresh ? null : await this.cache.get(key);
+    if (cached) {
+      logger.info(`Reusing cached transcript for: ${audioFilePath}`);
+      return { key, transcript: { ...cached, cache: { key, hit: true } } };
+    }
+    return { key, transcript: null };
+  }
+
+  async store(key, transcript) {
+    await this.cache.set(key, transcript);
+    return { ...transcript, cache: { key, hit: false } };
+  }
+
+  formatResult(transcript, provider) {
+    return {
+      text: transcript.text,
+      confidence: transcript.confidence,
+      speakers: this.extractSpeakers(transcript.utterances),
+      duration: transcript.duration,
+      timestamps: transcript.utterances || [],
+      provider: provider.name,
+      providerLabel: provider.label,
+      raw: transcript.raw
+    };
+  }
+
+  getProvider(podcastName) {
+    const key = podcastName || '';
+
+    if (!this.providers.has(key)) {
+      const podcast = getPodcast(podcastName);
+      const config = podcast?.transcription || { provider: process.env.TRANSCRIPTION_PROVIDER || 'assemblyai' };
+      const Provider = PROVIDERS[config.provider];
+
+      if (!Provider) {
+        throw new Error(`Unknown transcription provider "${config.provider}" for podcast ${podcastName} (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+      }
+
+      // Regular voices of the show, guests come and go
+      const regulars = podcast?.roster?.filter(member => member.role !== 'guest').length;
+      // The show's language unless the transcription config says otherwise
+      this.providers.set(key, new Provider({
+        speakersExpected: regulars || undefined,
+        language: getProfile(podcastName).language,
+        ...config
+      }));
+    }
+
+    return this.providers.get(key);
+  }
+
   extractSpeakers(utterances) {
     if (!utterances) return [];
 
     const speakers = new Map();
-    
+
     utterances.forEach(utterance => {
       const speaker = utterance.speaker;
       if (!speakers.has(speaker)) {
@@ -91,37 +163,4 @@ export class TranscriptionService {
 
     return Array.from(speakers.values()).sort((a, b) => b.totalTime - a.totalTime);
   }
-
-  async getTranscriptById(transcriptId) {
-    try {
-      const transcript = await this.client.transcripts.get(transcriptId);
-      return transcript;
-    } catch (error) {
-      logger.error(`Failed to get transcript ${transcriptId}:`, error);
-      throw error;
-    }
-  }
-
-  // For testing with shorter files
-  async quickTranscribe(audioUrl) {
-    try {
-      const config = {
-        audio_url: audioUrl,
-        punctuate: true,
-        format_text: true,
-        language_code: 'fr'
-      };
-
-      const transcript = await this.client.transcripts.submit(config);
-      const result = await this.client.transcripts.waitUntilReady(transcript.id);
-      
-      return {
-        text: result.text,
-        confidence: result.confidence
-      };
-    } catch (error) {
-      logger.error('Quick transcription failed:', error);
-      throw error;
-    }
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,112 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { getPodcast } from '../utils/podcastConfig.js';
+import { normalize, countWord } from '../utils/textMatch.js';
+import { episodeCode } from '../utils/episodeRef.js';
+
+// AssemblyAI accepts up to 1000 boosted terms of at most 6 words; fewer, stronger terms work better
+const MAX_TERMS = parseInt(process.env.VOCABULARY_MAX_TERMS || '200');
+const MAX_TERM_WORDS = 6;
+
+// Placeholders Claude writes when it doesn't know
+const IGNORED_TERMS = new Set(['null', 'unknown', 'inconnu', 'lien a verifier', 'various artists', 'n/a']);
+
+// Builds the list of names to boost during transcription: the podcast's curated `vocabulary`
+// and roster first, then the artists, tracks, labels and guests of its past episodes,
+// the ones that come up in the most episodes first.
+export class VocabularyBuilder {
+  constructor(generatedDir = './generated') {
+    this.generatedDir = generatedDir;
+  }
+
+  // The episode being transcribed is left out, in case it was extracted before and is being retried
+  async build(podcastName, currentEpisode = null) {
+    const podcast = getPodcast(podcastName);
+    const curated = [
+      ...(podcast?.vocabulary || []),
+      ...(podcast?.roster || []).flatMap(member => [member.name, ...(member.aliases || [])])
+    ];
+
+    const terms = new Map();
+    const add = (term, episodes) => {
+      const clean = typeof term === 'string' ? term.trim().replace(/\s+/g, ' ') : '';
+      const key = normalize(clean);
+      if (clean.length < 2 || clean.split(' ').length > MAX_TERM_WORDS || IGNORED_TERMS.has(key) || /^https?:/.test(key)) {
+        return;
+      }
+      const entry = terms.get(key) || { term: clean, episodes: 0 };
+      entry.episodes += episodes;
+      terms.set(key, entry);
+    };
+
+    // Curated terms always rank above anything learned from past episodes
+    curated.forEach(term => add(term, Infinity));
+
+    for (const content of await this.loadPastContent(podcastName, currentEpisode)) {
+      const names = new Set([
+        ...(content.tracks || []).flatMap(track => [track.artist, track.title, track.label]),
+        ...(content.guests || []).flatMap(guest => [guest.name, guest.project])
+      ].filter(Boolean));
+      names.forEach(name => add(name, 1));
+    }
+
+    const vocabulary = [...terms.values()]
+      .sort((a, b) => b.episodes - a.episodes)
+      .slice(0, MAX_TERMS)
+      .map(entry => entry.term);
+
+    logger.debug(`Vocabulary for ${podcastName}: ${vocabulary.length} term(s)`);
+    return vocabulary;
+  }
+
+  // extracted-content.json of every logged episode of this podcast (generated/<podcast>/episode-*)
+  async loadPastContent(podcastName, currentEpisode) {
+    const podcastDir = path.join(this.generatedDir, podcastName || '');
+    if (!podcastName || !await fs.pathExists(podcastDir)) {
+      return [];
+    }
+
+    const skipped = currentEpisode ? `episode-${episodeCode(currentEpisode)}` : null;
+    const contents = [];
+    for (const dir of await fs.readdir(podcastDir)) {
+      if (!dir.startsWith('episode-') || dir === skipped) {
+        continue;
+      }
+
+      try {
+        const contentPath = path.join(podcastDir, dir, 'extracted-content.json');
+        if (!await fs.pathExists(contentPath)) {
+          continue;
+        }
+
+        contents.push(await fs.readJson(contentPath));
+      } catch (error) {
+        logger.warn(`Skipping ${dir} for the vocabulary:`, error);
+      }
+    }
+    return contents;
+  }
+
+  // Which boosted terms the transcript actually contains, and how often
+  report(vocabulary, transcript) {
+    const text = normalize(transcript.text || '');
+    const found = [];
+    const missing = [];
+
+    for (const term of vocabulary) {
+      const count = countWord(text, normalize(term));
+      if (count > 0) {
+        found.push({ term, count });
+      } else {
+        missing.push(term);
+      }
+    }
+
+    return {
+      boosted: vocabulary.length,
+      found: found.sort((a, b) => b.count - a.count),
+      missing
+    };
+  }
+}
@@ -0,0 +1,172 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+
+const execFileAsync = promisify(execFile);
+
+// Supported local engines. whisper.cpp only reads 16 kHz WAV, so audio goes through ffmpeg first;
+// faster-whisper is driven through whisper-ctranslate2, which takes any format and writes
+// the same JSON as the openai-whisper CLI.
+const ENGINES = {
+  'whisper.cpp': { command: 'whisper-cli', needsWav: true },
+  'faster-whisper': { command: 'whisper-ctranslate2', needsWav: false }
+};
+
+// Whisper only reads the end of a long prompt (about 224 tokens), so the top terms are enough
+const MAX_PROMPT_LENGTH = 600;
+
+const WHISPER_TIMEOUT_MS = parseInt(process.env.WHISPER_TIMEOUT_MINUTES || '180') * 60 * 1000;
+
+// Label given to every segment when the engine doesn't separate speakers
+const DEFAULT_SPEAKER = 'A';
+
+// Transcription provider running Whisper locally as a subprocess (see transcriptionService.js for the provider interface)
+export class WhisperTranscriber {
+  constructor(options = {}) {
+    this.name = 'whisper';
+    this.label = 'Whisper';
+    this.engine = options.engine || process.env.WHISPER_ENGINE || 'faster-whisper';
+
+    if (!ENGINES[this.engine]) {
+      throw new Error(`Unknown Whisper engine: ${this.engine} (expected one of: ${Object.keys(ENGINES).join(', ')})`);
+    }
+
+    this.command = options.command || process.env.WHISPER_COMMAND || ENGINES[this.engine].command;
+    // A model path for whisper.cpp, a model name (e.g. "medium") for faster-whisper
+    this.model = options.model || process.env.WHISPER_MODEL;
+    this.language = options.language || 'fr';
+    this.extraArgs = options.args || [];
+    this.settings = { engine: this.engine, model: this.model || null, language: this.language, args: this.extraArgs };
+  }
+
+  async transcribe(audioFilePath, { signal, vocabulary = [] } = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'castsmith-whisper-'));
+    const prompt = this.buildPrompt(vocabulary);
+
+    try {
+      const output = this.engine === 'whisper.cpp'
+        ? await this.runWhisperCpp(audioFilePath, workDir, signal, prompt)
+        : await this.runFasterWhisper(audioFilePath, workDir, signal, prompt);
+
+      const text = output.utterances.map(utterance => utterance.text).join(' ');
+      const last = output.utterances[output.utterances.length - 1];
+
+      return {
+        text,
+        confidence: output.confidence,
+        duration: last ? last.end / 1000 : 0,
+        utterances: output.utterances,
+        raw: { engine: this.engine, model: this.model, ...output.raw }
+      };
+
+    } finally {
+      await fs.remove(workDir);
+    }
+  }
+
+  async runWhisperCpp(audioFilePath, workDir, signal, prompt) {
+    const wavPath = path.join(workDir, 'audio.wav');
+    await this.run('ffmpeg', ['-nostdin', '-y', '-i', audioFilePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], signal);
+
+    const outputBase = path.join(workDir, 'transcript');
+    await this.run(this.command, [
+      ...(this.model ? ['-m', this.model] : []),
+      '-f', wavPath,
+      '-l', this.language,
+      ...(prompt ? ['--prompt', prompt] : []),
+      '-ojf', // JSON with per-token probabilities
+      '-of', outputBase,
+      '-np',
+      ...this.extraArgs
+    ], signal);
+
+    const raw = await fs.readJson(`${outputBase}.json`);
+    const segments = raw.transcription || [];
+    const probabilities = segments.flatMap(segment => (segment.tokens || []).map(token => token.p)).filter(p => p !== undefined);
+
+    return {
+      utterances: segments
+        .map(segment => ({
+          speaker: DEFAULT_SPEAKER,
+          start: segment.offsets.from,
+          end: segment.offsets.to,
+          text: segment.text.trim(),
+          confidence: average((segment.tokens || []).map(token => token.p).filter(p => p !== undefined))
+        }))
+        .filter(utterance => utterance.text),
+      confidence: average(probabilities),
+      raw
+    };
+  }
+
+  async runFasterWhisper(audioFilePath, workDir, signal, prompt) {
+    await this.run(this.command, [
+      audioFilePath,
+      ...(this.model ? ['--model', this.model] : []),
+      '--language', this.language,
+      ...(prompt ? ['--initial_prompt', prompt] : []),
+      '--output_format', 'json',
+      '--output_dir', workDir,
+      '--verbose', 'False',
+      ...this.extraArgs
+    ], signal);
+
+    const outputPath = path.join(workDir, `${path.parse(audioFilePath).name}.json`);
+    const raw = await fs.readJson(outputPath);
+    const segments = raw.segments || [];
+
+    const utterances = segments
+      .map(segment => ({
+        // Present when diarization is enabled (e.g. --hf_token)
+        speaker: segment.speaker || DEFAULT_SPEAKER,
+        start: Math.round(segment.start * 1000),
+        end: Math.round(segment.end * 1000),
+        text: segment.text.trim(),
+        confidence: segment.avg_logprob !== undefined ? Math.exp(segment.avg_logprob) : null
+      }))
+      .filter(utterance => utterance.text);
+
+    return {
+      utterances,
+      confidence: average(utterances.map(utterance => utterance.confidence).filter(c => c !== null)),
+      raw
+    };
+  }
+
+  // Whisper has no word boost; names in the initial prompt make it likelier to spell them that way
+  buildPrompt(vocabulary) {
+    const terms = [];
+    let length = 0;
+    for (const term of vocabulary) {
+      if (length + term.length + 2 > MAX_PROMPT_LENGTH) break;
+      terms.push(term);
+      length += term.length + 2;
+    }
+    return terms.join(', ');
+  }
+
+  async run(command, args, signal) {
+    logger.debug(`Running ${command} ${args.join(' ')}`);
+
+    try {
+      await execFileAsync(command, args, { signal, timeout: WHISPER_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
+      // A missing binary, missing model or unreadable audio won't fix itself
+      const reason = error.code === 'ENOENT'
+        ? `${command} not found, install it or set WHISPER_COMMAND`
+        : `${command} failed: ${(error.stderr || error.message).toString().trim().split('\n').slice(-3).join(' ')}`;
+      throw Object.assign(new Error(reason), { permanent: true });
+    }
+  }
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
@@ -0,0 +1,80 @@
+import axios from 'axios';
+
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+const REQUEST_TIMEOUT_MS = 15000;
+// Each search costs 100 of the 10,000 daily quota units, a few candidates are enough
+const SEARCH_RESULTS = 5;
+
+// Link resolver using the YouTube Data API: checks YouTube links and searches for replacements
+// (see linkVerifier.js for the resolver interface). Links elsewhere are left to the search.
+export class YouTubeResolver {
+  constructor(options = {}) {
+    this.name = 'youtube';
+    this.apiKey = options.apiKey || process.env.YOUTUBE_API_KEY;
+
+    if (!this.apiKey) {
+      throw new Error('The youtube link resolver needs YOUTUBE_API_KEY');
+    }
+  }
+
+  async lookup(url, { signal } = {}) {
+    const id = videoId(url);
+    if (!id) {
+      return null;
+    }
+
+    const data = await this.request('videos', { part: 'snippet', id }, signal);
+    const snippet = data.items?.[0]?.snippet;
+    return snippet ? { url: watchUrl(id), title: snippet.title, author: snippet.channelTitle } : null;
+  }
+
+  async search(query, { signal } = {}) {
+    const data = await this.request('search', {
+      part: 'snippet',
+      type: 'video',
+      maxResults: SEARCH_RESULTS,
+      q: query
+    }, signal);
+
+    return (data.items || [])
+      .filter(item => item.id?.videoId)
+      .map(item => ({ url: watchUrl(item.id.videoId), title: item.snippet.title, author: item.snippet.channelTitle }));
+  }
+
+  async request(resource, params, signal) {
+    try {
+      const { data } = await axios.get(`${API_URL}/${resource}`, {
+        params: { ...params, key: this.apiKey },
+        timeout: REQUEST_TIMEOUT_MS,
+        signal
+      });
+      return data;
+    } catch (error) {
+      // A bad key or an exhausted quota won't fix itself within the retries
+      if (error.response?.status === 403 || error.response?.status === 400) {
+        const reason = error.response.data?.error?.message || error.message;
+        throw Object.assign(new Error(`YouTube API: ${reason}`), { permanent: true });
+      }
+      throw error;
+    }
+  }
+}
+
+function videoId(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname === 'youtu.be') {
+      return parsed.pathname.slice(1) || null;
+    }
+    if (/(^|\.)youtube\.com$/.test(parsed.hostname)) {
+      return parsed.searchParams.get('v') || parsed.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/)?.[1] || null;
+    }
+  } catch {
+    // Not a URL
+  }
+  return null;
+}
+
+function watchUrl(id) {
+  return `https://www.youtube.com/watch?v=${id}`;
+}
@@ -0,0 +1,25 @@
+// An episode is identified by its podcast, its season (null when the filename grammar has none)
+// and its number ({ podcast, season, number }): the same number in two podcasts or two seasons is
+// two episodes, with their own data directory, R2 files and Astropod page.
+
+// The episode part of directory and file names: "07", or "s2e07" in a season
+export function episodeCode(episode) {
+  const number = episode.number.toString().padStart(2, '0');
+  return episode.season ? `s${episode.season}e${number}` : number;
+}
+
+// "cosmic-07" or "cosmic-s2e07": R2 keys and Astropod page names start with it
+export function episodeSlug(episode) {
+  return `${episode.podcast}-${episodeCode(episode)}`;
+}
+
+// For logs and error messages
+export function describeEpisode(episode) {
+  return `episode ${episodeCode(episode)} of ${episode.podcast}`;
+}
+
+// The episode of a podcast from the code in a URL or a directory name ("07", "s2e07"), null when it isn't one
+export function parseEpisode(podcast, code) {
+  const match = /^(?:s(\d+)e)?(\d+)$/.exec(code || '');
+  return match ? { podcast, season: match[1] ? parseInt(match[1]) : null, number: parseInt(match[2]) } : null;
+}
@@ -0,0 +1,90 @@
+import { getPodcast } from './podcastConfig.js';
+
+// Named groups understood by the grammar: podcast, season, episode (required), variant, ext.
+// {podcast} is replaced with the escaped podcast name.
+// Default: {podcast}-{NN}[-{variant}].{ext}, e.g. cosmic-06-no-mix.mp3 (voice) / cosmic-06.mp3 (full)
+const DEFAULT_PATTERN = '^(?<podcast>{podcast})-(?<episode>\\d+)(?:-(?<variant>[a-z0-9-]+?))?\\.(?<ext>mp3|flac|wav|m4a)$';
+
+// Variant token(s) for each role; '' is a filename without a variant
+const DEFAULT_VARIANTS = {
+  voice: ['no-mix', 'voice'],
+  full: ['', 'full', 'mix'],
+  trailer: ['trailer']
+};
+
+const grammars = new Map();
+
+export class FilenameGrammar {
+  constructor({ podcastName, pattern = DEFAULT_PATTERN, variants = DEFAULT_VARIANTS }) {
+    if (!pattern.includes('(?<episode>')) {
+      throw new Error(`Filename pattern for ${podcastName} has no (?<episode>...) group: ${pattern}`);
+    }
+
+    this.podcastName = podcastName;
+    const podcastPattern = escapeRegExp(podcastName);
+    this.regex = new RegExp(pattern.replaceAll('{podcast}', () => podcastPattern), 'i');
+    this.variants = variants;
+  }
+
+  // Returns { podcast, season, episode, variant, role, ext } or null when the name doesn't match
+  parse(filename) {
+    const match = filename.match(this.regex);
+    if (!match) {
+      return null;
+    }
+
+    const groups = match.groups;
+    const variant = (groups.variant || '').toLowerCase();
+
+    return {
+      podcast: groups.podcast || this.podcastName,
+      season: groups.season ? parseInt(groups.season) : null,
+      episode: parseInt(groups.episode),
+      variant: variant || null,
+      role: this.roleOf(variant),
+      ext: groups.ext?.toLowerCase() || null
+    };
+  }
+
+  roleOf(variant) {
+    const role = Object.entries(this.variants).find(([, tokens]) => tokens.includes(variant));
+    return role ? role[0] : null;
+  }
+
+  // Voice tracks are the files that get transcribed and start a job
+  isVoiceTrack(filename) {
+    return this.parse(filename)?.role === 'voice';
+  }
+
+  // True when `filename` is the `role` file of the same episode as `referenceFilename`
+  isCompanion(referenceFilename, filename, role = 'full') {
+    const reference = this.parse(referenceFilename);
+    const candidate = this.parse(filename);
+
+    return !!reference && !!candidate &&
+      candidate.role === role &&
+      candidate.episode === reference.episode &&
+      candidate.season === reference.season &&
+      candidate.podcast.toLowerCase() === reference.podcast.toLowerCase();
+  }
+}
+
+// Grammar for a podcast, from its `filenames: { pattern, variants }` config or FILENAME_PATTERN
+export function getFilenameGrammar(podcastName) {
+  if (!grammars.has(podcastName)) {
+    const podcast = getPodcast(podcastName);
+    const config = podcast?.filenames || {};
+
+    grammars.set(podcastName, new FilenameGrammar({
+      podcastName,
+      pattern: config.pattern || process.env.FILENAME_PATTERN || DEFAULT_PATTERN,
+      variants: config.variants || DEFAULT_VARIANTS
+    }));
+  }
+
+  return grammars.get(podcastName);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,52 @@
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+
+const CONFIG_PATH = process.env.PODCASTS_CONFIG || './podcasts.json';
+
+let podcasts = null;
+
+// Podcasts come from podcasts.json when present, otherwise a single podcast is built from the environment
+export function loadPodcasts() {
+  if (podcasts) {
+    return podcasts;
+  }
+
+  if (fs.pathExistsSync(CONFIG_PATH)) {
+    const config = fs.readJsonSync(CONFIG_PATH);
+    podcasts = (config.podcasts || []).map(normalizePodcast);
+    logger.info(`Loaded ${podcasts.length} podcast(s) from ${CONFIG_PATH}`);
+  } else {
+    podcasts = [normalizePodcast({
+      name: process.env.PODCAST_NAME || 'podcast',
+      source: {
+        type: process.env.INGEST_SOURCE || 'drive',
+        folderId: process.env.GOOGLE_DRIVE_FOLDER_ID,
+        path: process.env.LOCAL_WATCH_DIR
+      }
+    })];
+  }
+
+  if (podcasts.length === 0) {
+    throw new Error(`No podcasts configured in ${CONFIG_PATH}`);
+  }
+
+  return podcasts;
+}
+
+// The configured podcast of that name, null for jobs and requests naming none (each caller falls
+// back to its own defaults)
+export function getPodcast(name) {
+  return loadPodcasts().find(podcast => podcast.name === name) || null;
+}
+
+function normalizePodcast(podcast) {
+  if (!podcast.name) {
+    throw new Error('Podcast configuration is missing a name');
+  }
+
+  return {
+    ...podcast,
+    source: { type: 'drive', ...podcast.source },
+    transcription: { provider: process.env.TRANSCRIPTION_PROVIDER || 'assemblyai', ...podcast.transcription }
+  };
+}
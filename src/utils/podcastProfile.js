@@ -0,0 +1,152 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getPodcast } from './podcastConfig.js';
+
+const PROFILES_DIR = process.env.PROFILES_DIR || './profiles';
+// Podcasts without a `profile` get the show CastSmith was first written for
+const DEFAULT_PROFILE = process.env.PODCAST_PROFILE || 'cosmic';
+
+export const SECTIONS = ['openingMonologue', 'tracks', 'events', 'guests'];
+const TEMPLATES = ['extraction', 'window', 'summary', 'repair'];
+
+// Headings and words of the episode page, for profiles that don't set their own `labels`
+const DEFAULT_LABELS = {
+  and: 'and',
+  openingMonologue: 'Opening monologue',
+  chapters: 'Chapters',
+  guestMix: 'Guest Mix',
+  guestThanks: 'Thanks again!',
+  tracks: 'Tracks',
+  time: 'Time',
+  trackColumns: ['Artist', 'Track', 'Info', 'Link'],
+  listen: 'listen',
+  linkToCheck: 'Link to check',
+  original: 'Original',
+  events: 'Events',
+  // Sent back to the model in place of an empty answer, when asking it to repair it
+  emptyAnswer: '(empty answer)',
+  // Generated chapter titles (see ChapterBuilder)
+  openingChapter: 'Opening',
+  openingMonologueChapter: 'Opening monologue',
+  guestMixChapter: 'Guest mix',
+  eventChapter: 'Event'
+};
+
+const profiles = new Map();
+
+// A show's identity: its name, hosts, language, the sections to extract, the disclaimer,
+// and the prompt templates. Loaded from profiles/<name>/:
+//   profile.json                     everything but the long texts
+//   disclaimer.md                    optional, shown at the top of every episode page
+//   prompts/{extraction,window,summary,repair}.md
+export class PodcastProfile {
+  constructor(name, config, templates, disclaimer = '') {
+    if (!config.showName) {
+      throw new Error(`Profile ${name} has no showName`);
+    }
+    const unknown = (config.sections || []).filter(section => !SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      throw new Error(`Profile ${name} has unknown section(s) ${unknown.join(', ')} (expected some of: ${SECTIONS.join(', ')})`);
+    }
+
+    this.name = name;
+    this.showName = config.showName;
+    this.language = config.language || 'fr';
+    this.hosts = config.hosts || [];
+    this.credits = config.credits || '';
+    this.opening = config.opening || {};
+    this.sections = config.sections || SECTIONS;
+    this.cover = config.cover || '';
+    this.explicit = config.explicit ?? false;
+    this.fallback = config.fallback || {};
+    this.labels = { ...DEFAULT_LABELS, ...config.labels };
+    this.templates = templates;
+    this.disclaimer = disclaimer.trim();
+  }
+
+  static load(name, dir = path.join(PROFILES_DIR, name)) {
+    const configPath = path.join(dir, 'profile.json');
+    if (!fs.pathExistsSync(configPath)) {
+      throw new Error(`No podcast profile at ${configPath}`);
+    }
+
+    const templates = Object.fromEntries(TEMPLATES.map(template => {
+      const templatePath = path.join(dir, 'prompts', `${template}.md`);
+      if (!fs.pathExistsSync(templatePath)) {
+        throw new Error(`Profile ${name} is missing its ${template} prompt (${templatePath})`);
+      }
+      return [template, fs.readFileSync(templatePath, 'utf8')];
+    }));
+
+    const disclaimerPath = path.join(dir, 'disclaimer.md');
+    const disclaimer = fs.pathExistsSync(disclaimerPath) ? fs.readFileSync(disclaimerPath, 'utf8') : '';
+
+    return new PodcastProfile(name, fs.readJsonSync(configPath), templates, disclaimer);
+  }
+
+  has(section) {
+    return this.sections.includes(section);
+  }
+
+  // One of the prompt templates, with the profile's own variables available to it
+  render(template, variables = {}) {
+    return renderTemplate(this.templates[template], { ...this.variables(), ...variables }, `${this.name}/${template}`).trimEnd();
+  }
+
+  // Any text of the profile (credits, fallback title...) with the same variables
+  format(text, variables = {}) {
+    return renderTemplate(text || '', { ...this.variables(), ...variables }, this.name);
+  }
+
+  // Available to every template: the show, its hosts, the placeholder for unsure links
+  // and one flag per extracted section
+  variables() {
+    const links = role => joinNames(
+      this.hosts.filter(host => (host.role || 'host') === role).map(host => host.url ? `[${host.name}](${host.url})` : host.name),
+      this.labels.and
+    );
+
+    return {
+      showName: this.showName,
+      language: this.language,
+      openingSpeaker: this.opening.speaker || '',
+      hosts: links('host'),
+      cohosts: links('cohost'),
+      linkToCheck: this.labels.linkToCheck,
+      ...Object.fromEntries(SECTIONS.map(section => [section, this.has(section)]))
+    };
+  }
+}
+
+// Profile of a podcast, from its `profile` in podcasts.json or PODCAST_PROFILE
+export function getProfile(podcastName) {
+  const podcast = getPodcast(podcastName);
+  const name = podcast?.profile || DEFAULT_PROFILE;
+
+  if (!profiles.has(name)) {
+    profiles.set(name, PodcastProfile.load(name));
+  }
+  return profiles.get(name);
+}
+
+// {{name}} is replaced with the variable, {{#name}}...{{/name}} is kept only when it is truthy
+// and {{^name}}...{{/name}} only when it isn't. A block tag alone on its line takes the line with it.
+export function renderTemplate(template, variables, source = 'template') {
+  const lookup = name => {
+    if (!(name in variables)) {
+      throw new Error(`Unknown variable {{${name}}} in ${source}`);
+    }
+    return variables[name];
+  };
+
+  return template
+    .replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\n/gm, '$1')
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+      (match, kind, name, body) => (!!lookup(name) === (kind === '#') ? body : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => String(lookup(name) ?? ''));
+}
+
+// "A", "A and B", "A, B and C"
+function joinNames(names, and) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} ${and} ${names[names.length - 1]}` : names[0] || '';
+}
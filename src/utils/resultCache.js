@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const CACHE_DIR = process.env.CACHE_DIR || './generated/.cache';
+
+// Content-addressed results: the key is a hash of everything that went into the result,
+// so an entry never needs invalidating, a changed input simply gets a new key
+export class ResultCache {
+  constructor(namespace) {
+    this.dir = path.join(CACHE_DIR, namespace);
+  }
+
+  async get(key) {
+    try {
+      const filePath = this.pathFor(key);
+      if (await fs.pathExists(filePath)) {
+        return (await fs.readJson(filePath)).value;
+      }
+    } catch (error) {
+      // A corrupt entry is treated as a miss and overwritten by the next set()
+      logger.warn(`Failed to read cache entry ${key} from ${this.dir}:`, error);
+    }
+    return null;
+  }
+
+  async set(key, value) {
+    try {
+      const filePath = this.pathFor(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.ensureDir(this.dir);
+      await fs.writeFile(tempPath, JSON.stringify({ key, cachedAt: new Date().toISOString(), value }));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      // Caching is an optimisation, never a reason to fail the job
+      logger.warn(`Failed to write cache entry ${key} to ${this.dir}:`, error);
+    }
+  }
+
+  pathFor(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+export function hashValue(value) {
+  return crypto.createHash('sha256')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('hex');
+}
@@ -0,0 +1,116 @@
+// Network-level failures worth another attempt
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+// For errors that carry no status or code (AssemblyAI SDK, git output, SDK connection errors)
+const TRANSIENT_MESSAGES = [
+  /timed? ?out/i,
+  /socket hang up/i,
+  /connection (error|reset|refused|closed)/i,
+  /network/i,
+  /rate limit/i,
+  /too many requests/i,
+  /overloaded/i,
+  /service unavailable/i,
+  /bad gateway/i,
+  /internal server error/i,
+  /could not resolve host/i,
+  /unable to access/i,
+  /early eof/i,
+  /failed to push some refs/i
+];
+
+// Rejects with signal.reason as soon as the signal aborts
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function statusOf(error) {
+  return error.status ??
+    error.statusCode ??
+    error.response?.status ??
+    error.$metadata?.httpStatusCode ??
+    (typeof error.code === 'number' ? error.code : undefined);
+}
+
+// 'transient' errors are retried, 'permanent' ones fail the step right away.
+// Code can force either by setting error.permanent / error.transient.
+export function classifyError(error) {
+  if (error.permanent) return 'permanent';
+  if (error.transient || error.$retryable) return 'transient';
+
+  const status = Number(statusOf(error));
+  if (status) {
+    return status === 408 || status === 429 || status >= 500 ? 'transient' : 'permanent';
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) return 'transient';
+  if (TRANSIENT_MESSAGES.some(pattern => pattern.test(error.message || ''))) return 'transient';
+
+  return 'permanent';
+}
+
+// Exponential backoff with jitter: somewhere between half and all of base * 2^(attempt - 1), capped
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Runs fn(attempt) until it succeeds, fails permanently, runs out of attempts or `signal` aborts.
+// The error finally thrown carries `classification` and `attempts`.
+export async function withRetry(fn, policy, { onError, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      signal?.throwIfAborted();
+      return await fn(attempt);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
+      const classification = classifyError(error);
+      const willRetry = classification === 'transient' && attempt < policy.maxAttempts;
+      const delayMs = willRetry ? backoffDelay(attempt, policy) : null;
+
+      error.classification = classification;
+      error.attempts = attempt;
+
+      if (onError) {
+        await onError(error, { attempt, classification, willRetry, delayMs });
+      }
+
+      if (!willRetry) {
+        throw error;
+      }
+
+      await sleep(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,71 @@
+import { sleep } from './retry.js';
+
+// Caps how many tasks of one kind run at once and, optionally, how often one may start.
+// Waiting tasks are served in arrival order; an aborted signal takes a task out of the line.
+export class StageLimiter {
+  constructor({ concurrency = Infinity, minIntervalMs = 0 } = {}) {
+    this.concurrency = concurrency;
+    this.minIntervalMs = minIntervalMs;
+    this.active = 0;
+    this.waiting = [];
+    this.nextStartAt = 0;
+  }
+
+  // Rejects with signal.reason, without running the task, when the signal aborts before a slot is free
+  async run(task, { signal } = {}) {
+    await this.acquire(signal);
+    try {
+      // Aborted while the slot was being handed over
+      signal?.throwIfAborted();
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  async acquire(signal) {
+    signal?.throwIfAborted();
+
+    if (this.active < this.concurrency && this.waiting.length === 0) {
+      this.active++;
+    } else {
+      // release() hands its slot straight to us
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this.waiting.splice(this.waiting.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        const waiter = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        this.waiting.push(waiter);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    if (this.minIntervalMs > 0) {
+      const startAt = Math.max(Date.now(), this.nextStartAt);
+      this.nextStartAt = startAt + this.minIntervalMs;
+      try {
+        await sleep(startAt - Date.now(), signal);
+      } catch (error) {
+        this.release();
+        throw error;
+      }
+    }
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  getStatus() {
+    return { active: this.active, waiting: this.waiting.length };
+  }
+}
@@ -0,0 +1,42 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const STATE_DIR = process.env.STATE_DIR || './generated/.state';
+
+export class StateStore {
+  constructor(filename) {
+    this.filePath = path.join(STATE_DIR, filename);
+    this.writeChain = Promise.resolve();
+  }
+
+  async load(defaults = {}) {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        return { ...defaults, ...await fs.readJson(this.filePath) };
+      }
+    } catch (error) {
+      logger.warn(`Failed to read state from ${this.filePath}:`, error);
+    }
+    return defaults;
+  }
+
+  save(data) {
+    // Snapshot now, write later: writes are chained so they land in order,
+    // and go through a temp file so a crash never leaves a truncated state file
+    const snapshot = JSON.stringify(data, null, 2);
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, this.filePath);
+      })
+      .catch(error => {
+        logger.warn(`Failed to save state to ${this.filePath}:`, error);
+      });
+
+    return this.writeChain;
+  }
+}
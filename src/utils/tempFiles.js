@@ -0,0 +1,97 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { statfs } from 'fs/promises';
+import { logger } from './logger.js';
+
+export const TEMP_DIR = process.env.TEMP_DIR || './temp';
+
+// Downloads land in `<path>.part` and are only renamed once verified
+export const PARTIAL_SUFFIX = '.part';
+
+// When a finished job's temp files are deleted: 'success' (after a successful publish, failed
+// jobs keep theirs for debugging), 'always' or 'never'. Anything kept is swept once it's older
+// than TEMP_RETENTION_HOURS.
+const TEMP_CLEANUP = process.env.TEMP_CLEANUP || 'success';
+const TEMP_RETENTION_MS = parseFloat(process.env.TEMP_RETENTION_HOURS || '72') * 60 * 60 * 1000;
+
+// Free space to leave on the temp disk after a download
+const TEMP_MIN_FREE_BYTES = parseInt(process.env.TEMP_MIN_FREE_MB || '500') * 1024 * 1024;
+
+export function tempPathFor(file) {
+  return path.join(TEMP_DIR, `castsmith-${file.id}-${file.name}`);
+}
+
+// Throws before a download that would fill the disk; counts what a partial download already holds
+export async function ensureSpaceFor(file, tempPath) {
+  await fs.ensureDir(TEMP_DIR);
+
+  const partialPath = `${tempPath}${PARTIAL_SUFFIX}`;
+  const downloaded = await fs.pathExists(partialPath) ? (await fs.stat(partialPath)).size : 0;
+  const needed = Math.max(Number(file.size || 0) - downloaded, 0);
+
+  const { bavail, bsize } = await statfs(TEMP_DIR);
+  const available = bavail * bsize;
+
+  if (available - needed < TEMP_MIN_FREE_BYTES) {
+    // Other jobs may free space in the meantime, so this is worth a retry
+    const error = new Error(
+      `Not enough disk space in ${TEMP_DIR} for ${file.name}: ${formatMb(needed)} needed, ${formatMb(available)} free, ${formatMb(TEMP_MIN_FREE_BYTES)} must stay free`
+    );
+    error.transient = true;
+    throw error;
+  }
+}
+
+export function shouldCleanup(status) {
+  return TEMP_CLEANUP === 'always' || (TEMP_CLEANUP === 'success' && status === 'completed');
+}
+
+export async function removeTempFiles(filePaths) {
+  for (const filePath of filePaths) {
+    for (const target of [filePath, `${filePath}${PARTIAL_SUFFIX}`]) {
+      try {
+        if (await fs.pathExists(target)) {
+          await fs.remove(target);
+          logger.debug(`Removed temp file ${target}`);
+        }
+      } catch (error) {
+        logger.warn(`Failed to remove temp file ${target}:`, error);
+      }
+    }
+  }
+}
+
+// Delete temp files past the retention period, except those of jobs still in progress
+export async function pruneTempDir(inUse = []) {
+  if (!await fs.pathExists(TEMP_DIR)) {
+    return;
+  }
+
+  const keep = new Set(inUse.flatMap(filePath => [
+    path.resolve(filePath),
+    path.resolve(`${filePath}${PARTIAL_SUFFIX}`)
+  ]));
+  const cutoff = Date.now() - TEMP_RETENTION_MS;
+
+  for (const name of await fs.readdir(TEMP_DIR)) {
+    if (!name.startsWith('castsmith-')) {
+      continue;
+    }
+
+    const filePath = path.join(TEMP_DIR, name);
+
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.isFile() && stats.mtimeMs < cutoff && !keep.has(path.resolve(filePath))) {
+        await fs.remove(filePath);
+        logger.info(`Removed expired temp file ${filePath}`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to prune temp file ${filePath}:`, error);
+    }
+  }
+}
+
+function formatMb(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
@@ -0,0 +1,18 @@
+// Lowercase without accents or curly apostrophes, so "Jérôme" matches "jerome"
+export function normalize(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\u2018\u2019]/g, "'").toLowerCase();
+}
+
+// Whole-word match of an already normalized term in normalized text
+export function containsWord(text, term) {
+  return wordPattern(term).test(text);
+}
+
+export function countWord(text, term) {
+  return text.match(wordPattern(term, 'g'))?.length || 0;
+}
+
+function wordPattern(term, flags = '') {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, `u${flags}`);
+}
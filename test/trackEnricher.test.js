@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { TrackEnricher } from '../src/services/trackEnricher.js';
+
+process.env.CATALOG_FIXTURE_FILE = fileURLToPath(new URL('./fixtures/catalog.json', import.meta.url));
+
+test('applies a confident fixture match and keeps the extracted values', async () => {
+  const enricher = new TrackEnricher('fixture');
+  const { tracks, report } = await enricher.enrich([
+    { artist: 'Boards of Canada', title: 'Roygbiv', label: 'Skam', year: '1996' }
+  ]);
+
+  assert.equal(report.catalog, 'fixture');
+  assert.deepEqual(report.summary, { applied: 1, review: 0, unmatched: 0 });
+  assert.equal(tracks[0].label, 'Warp Records');
+  assert.equal(tracks[0].year, '1998');
+  assert.equal(tracks[0].catalog.previous.label, 'Skam');
+});
+
+test('leaves tracks the fixture catalog does not know unmatched', async () => {
+  const enricher = new TrackEnricher('fixture');
+  const { tracks, report } = await enricher.enrich([
+    { artist: 'Nobody Known', title: 'Nothing Like It', label: 'Self-released' },
+    { artist: '', title: 'Untitled' }
+  ]);
+
+  assert.deepEqual(report.summary, { applied: 0, review: 0, unmatched: 2 });
+  assert.equal(tracks[0].label, 'Self-released');
+});